@@ -0,0 +1,99 @@
+import { syncConnector } from '../lib/connector.mjs';
+import { createProductRecord, productListLayout, stockStatus } from '../lib/products.mjs';
+import { logger } from '../lib/logger.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    url: { type: 'string' },        // e.g., https://yoursupplier.b2bwave.com
+    b_email: { type: 'string' },    // B2BWave Customer Email (Username)
+    b_token: { type: 'string', secret: true }, // B2BWave API Token (Password)
+    db_table: { type: 'string' },
+};
+
+const required = ['url', 'b_email', 'b_token', 'db_table'];
+
+// --- 2. API FETCHING ---
+export async function fetchB2BWavePage(http, baseUrl, authHeader, offset = 0) {
+    const endpoint = `${baseUrl}/api_customer/products?offset=${offset}`;
+
+    const response = await http.request(endpoint, {
+        method: 'GET',
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': authHeader
+        }
+    }, { label: `B2BWave offset ${offset}` });
+
+    if (!response.ok) {
+        throw new Error(`API fetch failed: ${response.status} ${response.statusText}`);
+    }
+
+    return await response.json();
+}
+
+// --- 3. MAPPING ---
+function toRecord(item) {
+    // B2BWave returns quantity as a string (e.g., "701.0"), so we parse it
+    const stockQty = parseFloat(item.quantity || 0);
+
+    return createProductRecord({
+        sku: item.code, // B2BWave 'code' maps to 'Sku'
+        name: item.name,
+        price: parseFloat(item.price || 0),
+        qty: stockQty,
+        status: stockStatus(stockQty),
+        id: item.id,
+        typeId: 'simple', // B2Bwave lists typically resolve to simple products in this API
+        // No category IDs, and an empty path for uncategorized products (Category_IDs NULL, Category_Names '')
+        categories: [{ id: null, name: item.category_path || '' }]
+    });
+}
+
+// --- 4. CONNECTOR ---
+export const b2bwaveConnector = {
+    name: 'B2BWave',
+    type: 'b2bwave',
+    options,
+    required,
+
+    // The API returns bare numbers: the currency and VAT basis are the shop's settings
+    priceBasis: { currency: null, vat: null },
+
+    // Exact same schema as the Magento script for consistency
+    tables: (values) => ({
+        products: { name: values.db_table, layout: productListLayout() }
+    }),
+
+    async *fetchBatches({ values, stats, http }) {
+        // Clean URL to ensure no trailing slash
+        const baseUrl = values.url.replace(/\/$/, '');
+
+        // Create the Basic Auth header string
+        const authHeader = 'Basic ' + Buffer.from(`${values.b_email}:${values.b_token}`).toString('base64');
+
+        let currentOffset = 0;
+        let totalItems = 1; // Will update after the first request
+
+        logger.info(`Authenticating and starting fetch from ${baseUrl}...`);
+
+        while (currentOffset < totalItems) {
+            logger.info(`Fetching from offset ${currentOffset}...`);
+            const responseData = await fetchB2BWavePage(http, baseUrl, authHeader, currentOffset);
+            stats.pages++;
+
+            if (currentOffset === 0) {
+                totalItems = responseData.pagination.total;
+                logger.info(`Total catalog size to fetch: ${totalItems} products.`);
+            }
+
+            const items = responseData.data;
+            if (items && items.length > 0) yield items.map(toRecord);
+
+            // Increment the offset by the limit returned in the pagination object
+            currentOffset += responseData.pagination.limit;
+        }
+    }
+};
+
+// Library API: see lib/connector.mjs for the options and the result
+export const syncB2BWave = (options) => syncConnector(b2bwaveConnector, options);
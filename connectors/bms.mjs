@@ -0,0 +1,212 @@
+import { CheerioCrawler, log, LoggerJson } from 'crawlee';
+import puppeteer from 'puppeteer';
+import * as cheerio from 'cheerio';
+import { syncConnector, createBatchChannel } from '../lib/connector.mjs';
+import { createProductRecord, stockStatus, PRICE_BASIS_COLUMNS } from '../lib/products.mjs';
+import { logger, logFormat } from '../lib/logger.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    url: { type: 'string', default: 'https://batterymegastore.b2bwave.com' },
+    b_email: { type: 'string' },
+    b_pass: { type: 'string', secret: true },
+    brands: { type: 'string' }, // Comma-separated brands to scrape instead of the in-scope list in supplier_partno_prefix
+    db_table: { type: 'string' },
+};
+
+const required = ['db_table'];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// The BMS scrape has its own table keyed by brand, with the shared price basis columns
+const BMS_LAYOUT = {
+    columns: [
+        { name: 'API_Vis_Product_List ID', type: 'CHAR(36) PRIMARY KEY', value: r => r.uuid },
+        { name: 'BrandName', type: 'VARCHAR(255)', value: r => r.extra.brandName },
+        { name: 'Sku', type: 'VARCHAR(255)', value: r => r.sku },
+        { name: 'Status', type: 'VARCHAR(50)', value: r => r.status },
+        { name: 'Price', type: 'DECIMAL(10,2)', value: r => r.price },
+        { name: 'Name', type: 'TEXT', value: r => r.name },
+        { name: 'Only_x_left_in_stock', type: 'DECIMAL(10,2)', value: r => r.qty },
+        ...PRICE_BASIS_COLUMNS
+    ]
+};
+
+// --- 2. JAVASCRIPT-INJECTED LOGIN ---
+// Resolves with the session cookies as a Cookie header value
+export async function getSessionCookies(baseUrl, { email, password }) {
+    logger.info('Launching hidden browser for B2BWave login...');
+    const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    const page = await browser.newPage();
+    await page.setUserAgent(USER_AGENT);
+
+    logger.debug('Navigating to login page...');
+    await page.goto(`${baseUrl}/customers/sign_in`, { waitUntil: 'networkidle2' });
+
+    logger.debug('Injecting credentials directly into the DOM...');
+    await page.evaluate((email, pass) => {
+        document.querySelector('#customer_email').value = email;
+        document.querySelector('#customer_password').value = pass;
+    }, email, password);
+
+    logger.debug('Submitting login form...');
+    await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
+        page.click('input[name="commit"]')
+    ]);
+
+    const currentUrl = page.url();
+    if (currentUrl.includes('sign_in')) {
+        await page.screenshot({ path: 'debug_login_failed.png' });
+        await browser.close();
+        throw new Error("❌ Login failed. Form submitted but stayed on login page. Check debug_login_failed.png");
+    }
+
+    const cookies = await page.cookies();
+    await browser.close();
+
+    const cookieString = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+    logger.info('✅ Login successful! Session cookies retrieved.');
+    return cookieString;
+}
+
+// --- 3. BRAND MAPPING ---
+export async function getBrandDictionary(http, baseUrl, cookieString) {
+    logger.info('Fetching brand category dictionary...');
+    const response = await http.request(`${baseUrl}/products/list?category=7`, {
+        headers: { 'Cookie': cookieString, 'User-Agent': USER_AGENT }
+    }, { label: 'BMS brand directory' });
+
+    const html = await response.text();
+    const $ = cheerio.load(html);
+    const dictionary = new Map();
+
+    $('.card-product-title').each((i, el) => {
+        const brandName = $(el).text().trim();
+        const href = $(el).attr('href');
+        if (href) {
+            dictionary.set(brandName.toLowerCase(), baseUrl + href);
+        }
+    });
+
+    logger.info(`Found ${dictionary.size} brands in the B2BWave directory.`);
+    return dictionary;
+}
+
+// --- 4. CONNECTOR ---
+export const bmsConnector = {
+    name: 'BMS',
+    type: 'bms',
+    options,
+    required,
+
+    // The price lists show pounds but not whether VAT is included
+    priceBasis: { currency: 'GBP', vat: null },
+
+    tables: (values) => ({
+        products: { name: values.db_table, layout: BMS_LAYOUT }
+    }),
+
+    // Nothing in scope means nothing to scrape: leave the current table untouched
+    async setup(ctx) {
+        if (ctx.values.brands) {
+            ctx.targetBrands = ctx.values.brands.split(',').map(b => b.trim()).filter(Boolean);
+        } else {
+            if (!ctx.db) throw new Error('BMS reads its in-scope brands from supplier_partno_prefix: use --sink mysql or pass --brands');
+            const [rows] = await ctx.db.query(`SELECT manufacturer FROM supplier_partno_prefix WHERE Supplier = 'BMS' AND In_scope = 1`);
+            ctx.targetBrands = rows.map(r => r.manufacturer);
+        }
+        logger.info(`Found ${ctx.targetBrands.length} in-scope brands to scrape.`);
+        return ctx.targetBrands.length > 0;
+    },
+
+    async *fetchBatches({ values, targetBrands, stats, http }) {
+        const baseUrl = values.url.replace(/\/$/, '');
+        const cookieHeader = await getSessionCookies(baseUrl, { email: values.b_email, password: values.b_pass });
+        const brandDict = await getBrandDictionary(http, baseUrl, cookieHeader);
+
+        const startRequests = targetBrands.map(brand => {
+            const normalizedBrand = brand.toLowerCase();
+            const startUrl = brandDict.has(normalizedBrand)
+                ? `${brandDict.get(normalizedBrand)}&per_page=96`
+                : `${baseUrl}/products/search_list?utf8=%E2%9C%93&search=${encodeURIComponent(brand)}&per_page=96`;
+
+            return { url: startUrl, userData: { brandName: brand, isSearchFallback: false } };
+        });
+
+        const channel = createBatchChannel();
+
+        // Crawlee has its own logger: keep it to warnings, in the same format as ours
+        log.setLevel(log.LEVELS.WARNING);
+        if (logFormat() === 'json') log.setOptions({ logger: new LoggerJson() });
+
+        const crawler = new CheerioCrawler({
+            preNavigationHooks: [
+                (crawlingContext) => {
+                    crawlingContext.request.headers = { 'Cookie': cookieHeader, 'User-Agent': USER_AGENT };
+                }
+            ],
+
+            async requestHandler({ $, request, enqueueLinks }) {
+                logger.debug(`Processing: ${request.url}`);
+                stats.pages++;
+                const { brandName, isSearchFallback } = request.userData;
+
+                if ($('.alert-danger').text().includes('no products available')) {
+                    if (!isSearchFallback) {
+                        const searchUrl = `${baseUrl}/products/search_list?utf8=%E2%9C%93&search=${encodeURIComponent(brandName)}&per_page=96`;
+                        await enqueueLinks({ urls: [searchUrl], userData: { brandName, isSearchFallback: true } });
+                    }
+                    return;
+                }
+
+                // EXACT EXTRACTORS
+                const records = [];
+                $('table.preferred-products tbody tr, .card-product').each((i, el) => {
+                    if ($(el).hasClass('second-row')) return;
+
+                    // FIX: Added .first() to prevent text concatenation from duplicate HTML tags
+                    const title = $(el).find('td.product-title a, .card-product-title').first().text().trim();
+                    const rawCode = $(el).find('td.line-item.code a, .code-smaller, .product-code').first().text().replace(/Code:|SKU:/i, '').trim();
+
+                    let rawPrice = $(el).find('td.price-col span.price').attr('data-price');
+                    if (!rawPrice) rawPrice = $(el).find('.price').first().text().replace(/[^0-9.]/g, '');
+
+                    const qtyText = $(el).find('td.avl-qty, .in-stock').first().text().replace(/[^0-9.]/g, '');
+                    const qtyInput = $(el).find('input[name="quantity"]').attr('max');
+
+                    const qty = parseFloat(qtyText || qtyInput || 0);
+
+                    if (rawCode && title) {
+                        records.push(createProductRecord({
+                            sku: rawCode, name: title, price: parseFloat(rawPrice || 0),
+                            qty, status: stockStatus(qty), extra: { brandName }
+                        }));
+                    }
+                });
+                channel.push(records);
+
+                await enqueueLinks({
+                    selector: '.pagination a[rel="next"], .next_page a',
+                    userData: { brandName, isSearchFallback }
+                });
+            }
+        });
+
+        logger.info('Starting CheerioCrawler...');
+        let crawling = true;
+        const crawl = crawler.run(startRequests)
+            .then(() => channel.close(), error => channel.close(error))
+            .finally(() => { crawling = false; });
+        try {
+            yield* channel;
+        } finally {
+            // The runner stopped early (e.g. a failed write): abort the crawl instead of leaving it running
+            if (crawling) await crawler.teardown();
+            await crawl;
+        }
+    }
+};
+
+// Library API: see lib/connector.mjs for the options and the result
+export const syncBms = (options) => syncConnector(bmsConnector, options);
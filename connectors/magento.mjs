@@ -0,0 +1,929 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { syncConnector } from '../lib/connector.mjs';
+import { createProductRecord, productListLayout, OPTIONS_LAYOUT, IMAGES_LAYOUT, MIRRORED_IMAGES_LAYOUT, TIER_PRICES_LAYOUT, ATTRIBUTES_LAYOUT, FAILED_ITEMS_LAYOUT } from '../lib/products.mjs';
+import { logger, registerSecret } from '../lib/logger.mjs';
+import { openImageMirror } from '../lib/image-mirror.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    url: { type: 'string' },
+    m_user: { type: 'string' },
+    m_pass: { type: 'string', secret: true },
+    root_cat: { type: 'string', default: '2' },      // Comma-separated category IDs
+    category_tree: { type: 'boolean', default: false }, // Also query every descendant of the root categories
+    store: { type: 'string' },                       // Comma-separated store view codes, sent as the Store header
+    concurrency: { type: 'string', default: '4' }, // GraphQL pages fetched at once once page 1 gives the total
+    db_table: { type: 'string' },
+    db_options_table: { type: 'string' },
+    db_images_table: { type: 'string' },
+    db_tier_prices_table: { type: 'string' }, // Optional: quantity-break prices per product
+    attributes: { type: 'string' },           // Comma-separated extra product fields (list them with magento-attributes.mjs)
+    db_attributes_table: { type: 'string' },  // Where --attributes are stored, one row per SKU and attribute
+    db_failures_table: { type: 'string' },    // Optional: items that failed even when re-fetched on their own
+    mirror_dir: { type: 'string' },                          // Download every image here (deduplicated by content)
+    mirror_concurrency: { type: 'string', default: '4' },    // Image downloads at once
+    log_file: { type: 'string', default: 'failed_products.log' },
+    resume: { type: 'boolean', default: false }, // Continue an interrupted run from its checkpoint
+    checkpoint_file: { type: 'string' },         // Defaults to <db_table>.checkpoint.json
+    token_cache: { type: 'string', default: '.magento-tokens.json' }, // Reuse customer tokens across runs; '' disables
+    token_lifetime: { type: 'string', default: '1' } // Hours a token lasts when it does not say itself (Magento's default)
+};
+
+const required = ['url', 'm_user', 'm_pass', 'db_table', 'db_options_table', 'db_images_table'];
+
+async function logFailedProduct(values, message) {
+    const timestamp = new Date().toISOString();
+    const logEntry = `[${timestamp}] ${message}\n`;
+    await fs.appendFile(values.log_file, logEntry);
+}
+
+// --- 2. CHECKPOINTS ---
+// After every page that reached the staging tables the run records where it got to:
+//   { runId, scope, completedStores, lastPage, totalPages, flushedBatches, pending, rowCounts, updatedAt }
+// `completedStores` store views are fully written, and `lastPage` of `totalPages` of the next one
+// (or its first `flushedBatches` write batches when it has several categories). `pending` holds the
+// ids of a batch that is being written. --resume keeps the staging tables, removes what was staged
+// of a pending batch and continues after the last written page; a published run removes the file.
+// `scope` holds the flags that decide what is fetched, so a resume cannot mix two different syncs.
+const checkpointFile = (values) => values.checkpoint_file || `${values.db_table}.checkpoint.json`;
+
+const checkpointScope = (values) => ({
+    url: values.url, root_cat: values.root_cat, store: values.store || null, category_tree: values.category_tree
+});
+
+async function readCheckpoint(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Unreadable checkpoint ${file}: ${error.message}`);
+    }
+}
+
+// Written to a temporary file first, so a crash mid-write never leaves half a checkpoint
+async function saveCheckpoint(file, checkpoint) {
+    await fs.writeFile(`${file}.tmp`, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+}
+
+// --- 3. AUTHENTICATION ---
+// `http` is a client from createHttpClient() (lib/http.mjs)
+export async function getAuthToken(http, baseUrl, { username, password }) {
+    logger.info(`Authenticating with ${baseUrl}...`);
+    const authUrl = `${baseUrl}/rest/V1/integration/customer/token`;
+    const response = await http.request(authUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    }, { label: 'Magento auth', idempotent: true });
+
+    if (!response.ok) throw new Error(`Auth failed: ${response.status} ${response.statusText}`);
+    const token = await response.json();
+    logger.info('Authentication successful. Token retrieved.');
+    return token;
+}
+
+// Set on errors caused by an expired or revoked customer token
+export const MAGENTO_UNAUTHORIZED = 'MAGENTO_UNAUTHORIZED';
+
+function unauthorizedError(label) {
+    const error = new Error(`${label}: the customer token was rejected`);
+    error.code = MAGENTO_UNAUTHORIZED;
+    return error;
+}
+
+// Renew this long before the expiry, so a page is not sent with a token about to lapse
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Magento 2.4.4+ issues JWTs that carry their expiry; older opaque tokens get `lifetimeHours`
+function tokenExpiry(token, lifetimeHours) {
+    const parts = String(token).split('.');
+    if (parts.length === 3) {
+        try {
+            const { exp } = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+            if (Number.isFinite(exp)) return exp * 1000;
+        } catch (error) { /* not a JWT after all */ }
+    }
+    return Date.now() + lifetimeHours * 60 * 60 * 1000;
+}
+
+// The cache file maps "<baseUrl>|<username>" to { token, expiresAt }; it holds live tokens, so
+// it is created readable by the owner only
+async function readTokenCache(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function writeTokenCache(file, key, entry) {
+    const cache = await readTokenCache(file);
+    for (const [cachedKey, cached] of Object.entries(cache)) {
+        if (cached.expiresAt <= Date.now()) delete cache[cachedKey];
+    }
+    cache[key] = entry;
+    await fs.writeFile(file, JSON.stringify(cache, null, 2), { mode: 0o600 });
+}
+
+// Hands out a customer token for a whole run: from the cache while it is valid, otherwise a new
+// one, renewed before it expires. refresh(stale) replaces a token the store rejected; pages that
+// fail together share one re-authentication.
+export function createTokenSession(http, baseUrl, credentials, { cacheFile = null, lifetimeHours = 1 } = {}) {
+    const key = `${baseUrl}|${credentials.username}`;
+    let current = null;
+    let pending = null;
+
+    const valid = (entry) => Boolean(entry) && entry.expiresAt - EXPIRY_MARGIN_MS > Date.now();
+
+    const authenticate = () => {
+        pending ||= (async () => {
+            const token = await getAuthToken(http, baseUrl, credentials);
+            registerSecret(token);
+            current = { token, expiresAt: tokenExpiry(token, lifetimeHours) };
+            if (cacheFile) await writeTokenCache(cacheFile, key, current);
+            return token;
+        })().finally(() => { pending = null; });
+        return pending;
+    };
+
+    return {
+        async token() {
+            if (!current && cacheFile) {
+                const cached = (await readTokenCache(cacheFile))[key];
+                if (valid(cached)) {
+                    registerSecret(cached.token);
+                    current = cached;
+                    logger.info(`Using the cached token for ${baseUrl} (valid until ${new Date(cached.expiresAt).toISOString()}).`);
+                }
+            }
+            return valid(current) ? current.token : authenticate();
+        },
+
+        async refresh(stale) {
+            if (current && current.token !== stale && valid(current)) return current.token;
+            current = null;
+            return authenticate();
+        }
+    };
+}
+
+// Runs call(token) and, when the token is rejected, once more with a fresh one
+export async function withTokenRetry(session, call, onRefresh = () => {}) {
+    const token = await session.token();
+    try {
+        return await call(token);
+    } catch (error) {
+        if (error.code !== MAGENTO_UNAUTHORIZED) throw error;
+        onRefresh(error);
+        return call(await session.refresh(token));
+    }
+}
+
+// --- 4. GRAPHQL FETCHING ---
+// Added media_gallery and base image retrieval
+// Tier prices are those of the authenticated customer's group.
+// `attributes` (validated field names) are selected on every product and variant.
+const PAGE_SIZE = 100;
+
+// Selections on every item, by the top-level field a GraphQL error path names. A targeted
+// re-fetch (see refetchFailedItems) leaves out the ones that broke, except the REQUIRED_FIELDS.
+const ITEM_SELECTIONS = {
+    id: 'id',
+    attribute_set_id: 'attribute_set_id',
+    sku: 'sku',
+    name: 'name',
+    __typename: '__typename',
+    stock_status: 'stock_status',
+    only_x_left_in_stock: 'only_x_left_in_stock',
+    url_key: 'url_key',
+    manufacturer: 'manufacturer',
+    special_price: 'special_price',
+    special_from_date: 'special_from_date',
+    special_to_date: 'special_to_date',
+    categories: 'categories { id name }',
+    price_range: 'price_range { minimum_price { ...Prices } }',
+    price_tiers: 'price_tiers { ...Tier }',
+    image: 'image { url }',
+    media_gallery: 'media_gallery { url position disabled }',
+    configurable_options: `... on ConfigurableProduct {
+  configurable_options {
+    id
+    attribute_id_v2
+    label
+    position
+    values { value_index }
+  }
+}`,
+    variants: `... on ConfigurableProduct {
+  variants {
+    product { ...Child }
+  }
+}`,
+    bundle_items: `... on BundleProduct {
+  bundle_items: items {
+    option_id
+    title
+    type
+    required
+    position
+    options {
+      id
+      label
+      quantity
+      position
+      is_default
+      product { ...Child }
+    }
+  }
+}`,
+    grouped_items: `... on GroupedProduct {
+  grouped_items: items {
+    qty
+    position
+    product { ...Child }
+  }
+}`,
+    downloadable_product_links: `... on DownloadableProduct {
+  downloadable_product_links {
+    uid
+    title
+    sort_order
+    price
+    sample_url
+  }
+}`,
+    downloadable_product_samples: `... on DownloadableProduct {
+  downloadable_product_samples {
+    title
+    sort_order
+    sample_url
+  }
+}`
+};
+
+const REQUIRED_FIELDS = ['id', 'sku', 'name', '__typename'];
+
+const FRAGMENTS = {
+    Prices: `fragment Prices on ProductPrice {
+  regular_price { value currency }
+  final_price { value currency }
+  discount { amount_off percent_off }
+}`,
+    Tier: `fragment Tier on TierPrice {
+  quantity
+  final_price { value currency }
+  discount { amount_off percent_off }
+}`,
+    // Variants, bundle selections and grouped items: flattened into rows of their own
+    Child: (attributes) => `fragment Child on ProductInterface {
+  id
+  attribute_set_id
+  sku
+  name
+  __typename
+  stock_status
+  only_x_left_in_stock
+  url_key
+  manufacturer
+  special_price
+  special_from_date
+  special_to_date
+  price_range { minimum_price { ...Prices } }
+  price_tiers { ...Tier }
+
+  image { url }
+  media_gallery { url position disabled }
+  ${attributes.length > 0 ? '...Attributes' : ''}
+}`,
+    Attributes: (attributes) => `fragment Attributes on ProductInterface {\n${attributes.map(a => `  ${a}`).join('\n')}\n}`
+};
+
+const indent = (text, spaces) => text.split('\n').map(line => `${' '.repeat(spaces)}${line}`).join('\n');
+
+// The products query for a category page, or with `sku` for that one product. `omit` lists
+// top-level item fields and attributes to leave out. GraphQL rejects unused fragments, so
+// only the ones spread somewhere are defined.
+const productsQuery = (attributes = [], { sku = false, omit = [] } = {}) => {
+    const kept = attributes.filter(a => !omit.includes(a));
+    const selections = Object.entries(ITEM_SELECTIONS).filter(([field]) => !omit.includes(field)).map(([, text]) => text);
+    if (kept.length > 0) selections.push('...Attributes');
+
+    const header = sku
+        ? `query GetProductBySku($sku: String!) {
+  products(filter: { sku: { eq: $sku } }) {`
+        : `query GetProducts($categoryId: String!, $pageSize: Int!, $currentPage: Int!) {
+  products(filter: { category_id: { eq: $categoryId } }, pageSize: $pageSize, currentPage: $currentPage) {`;
+    let text = `${header}
+    total_count
+    page_info { current_page total_pages }
+    items {
+${indent(selections.join('\n'), 6)}
+    }
+  }
+}
+`;
+    // Child first: it spreads the other three
+    for (const name of ['Child', 'Prices', 'Tier', 'Attributes']) {
+        if (text.includes(`...${name}`)) {
+            const fragment = FRAGMENTS[name];
+            text = `${typeof fragment === 'function' ? fragment(kept) : fragment}\n\n${text}`;
+        }
+    }
+    return text;
+};
+
+// SKUs of a category page, to name the items that came back empty
+const PAGE_SKUS_QUERY = `
+query GetPageSkus($categoryId: String!, $pageSize: Int!, $currentPage: Int!) {
+  products(filter: { category_id: { eq: $categoryId } }, pageSize: $pageSize, currentPage: $currentPage) {
+    items { sku }
+  }
+}
+`;
+
+const CHILDREN_QUERY = `
+query GetCategoryChildren($ids: [String]) {
+  categoryList(filters: { ids: { in: $ids } }) { id children { id } }
+}
+`;
+
+const ATTRIBUTES_QUERY = `
+query ProductFields {
+  __type(name: "ProductInterface") { fields { name description type { kind name ofType { kind name } } } }
+}
+`;
+
+// Without a store code Magento answers for the default store view
+const graphqlHeaders = (token, store) => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+    ...(store ? { 'Store': store } : {})
+});
+
+// Resolves with the parsed GraphQL response. An HTTP 401 or a graphql-authorization error
+// throws with code MAGENTO_UNAUTHORIZED, whatever else the response holds.
+async function postGraphql(http, baseUrl, token, { query, variables = {}, store = null, label }) {
+    const response = await http.request(`${baseUrl}/graphql`, {
+        method: 'POST',
+        headers: graphqlHeaders(token, store),
+        body: JSON.stringify({ query, variables })
+    }, { label, idempotent: true }); // Queries only, safe to send again
+    if (response.status === 401) throw unauthorizedError(label);
+
+    const result = await response.json();
+    if ((result.errors || []).some(err => err.extensions?.category === 'graphql-authorization')) throw unauthorizedError(label);
+    return result;
+}
+
+// Resolves with the `products` node. Partial GraphQL errors (a few broken items) are passed to
+// `onErrors` and the rest of the page is kept; errors without any data are fatal.
+export async function fetchMagentoPage(http, baseUrl, token, { categoryId, page, pageSize = PAGE_SIZE, store = null, attributes = [], onErrors = async () => {} }) {
+    const result = await postGraphql(http, baseUrl, token, {
+        query: productsQuery(attributes),
+        variables: { categoryId, pageSize, currentPage: page },
+        store,
+        label: `Magento page ${page}`
+    });
+
+    if (result.errors) {
+        await onErrors(result.errors);
+        if (!result.data || !result.data.products) throw new Error(`Fatal GraphQL Error: ${JSON.stringify(result.errors)}`);
+    }
+
+    return result.data.products;
+}
+
+// Resolves with { item, errors }: the product with that SKU (null when it is missing or broke
+// again) and the GraphQL errors of the response. `omit` leaves fields out, see productsQuery().
+export async function fetchMagentoProduct(http, baseUrl, token, { sku, store = null, attributes = [], omit = [] }) {
+    const result = await postGraphql(http, baseUrl, token, {
+        query: productsQuery(attributes, { sku: true, omit }),
+        variables: { sku },
+        store,
+        label: `Magento SKU ${sku}`
+    });
+    return { item: result.data?.products?.items?.[0] ?? null, errors: result.errors || [] };
+}
+
+// Scalar product fields the store exposes, from schema introspection: [{ name, type, description }]
+export async function getProductAttributes(http, baseUrl, token, { store = null } = {}) {
+    const result = await postGraphql(http, baseUrl, token, { query: ATTRIBUTES_QUERY, store, label: 'Magento schema' });
+    if (result.errors || !result.data?.__type) throw new Error(`Schema introspection failed (is it disabled on this store?): ${JSON.stringify(result.errors)}`);
+
+    return result.data.__type.fields
+        .map(field => ({ ...field, type: field.type.ofType || field.type }))
+        .filter(field => field.type.kind === 'SCALAR' || field.type.kind === 'ENUM')
+        .map(field => ({ name: field.name, type: field.type.name, description: field.description || null }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// --attributes as a list of field names. They are pasted into the query, so only GraphQL names pass.
+export function parseAttributeList(value) {
+    const attributes = (value || '').split(',').map(v => v.trim()).filter(Boolean);
+    for (const name of attributes) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`--attributes has an invalid field name "${name}"`);
+    }
+    return attributes;
+}
+
+// The given categories followed by all their descendants, one categoryList query per tree level
+export async function getCategoryTree(http, baseUrl, token, { rootIds, store = null }) {
+    const seen = new Set(rootIds.map(String));
+    let level = [...seen];
+    while (level.length > 0) {
+        const result = await postGraphql(http, baseUrl, token, { query: CHILDREN_QUERY, variables: { ids: level }, store, label: 'Magento category tree' });
+        if (result.errors || !result.data?.categoryList) throw new Error(`Category tree query failed: ${JSON.stringify(result.errors)}`);
+
+        level = [];
+        for (const category of result.data.categoryList) {
+            for (const child of category.children || []) {
+                const id = String(child.id);
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    level.push(id);
+                }
+            }
+        }
+    }
+    return [...seen];
+}
+
+// One append per page, so the entries of pages fetched side by side are not interleaved
+async function logPageErrors(ctx, { categoryId, store }, page, errors) {
+    const { values } = ctx;
+    const source = `category ${categoryId}${store ? `, store ${store}` : ''}`;
+    ctx.warn(`\n[WARNING] Magento issue on page ${page} (${errors.length} errors) of ${source}. Check ${values.log_file} for details.`);
+    const entries = errors.map(err => {
+        const index = err.path && err.path.length > 0 ? err.path[err.path.length - 1] : 'Unknown Index';
+        return `Category ${categoryId}${store ? ` | Store ${store}` : ''} | Page ${page} | Item Index ${index} | Error: ${err.message}`;
+    });
+    entries.forEach(entry => logger.debug(entry));
+    await logFailedProduct(values, entries.join('\n'));
+}
+
+// The item index and top-level field an error path points at: ['products', 'items', 3, 'price_tiers', 0, ...]
+function errorTarget(error) {
+    const [root, list, index, field] = error.path || [];
+    if (root !== 'products' || list !== 'items' || !Number.isInteger(index)) return null;
+    return { index, field: typeof field === 'string' ? field : null };
+}
+
+const brokenFields = (errors, index) => [...new Set(errors.map(errorTarget).filter(t => t && t.index === index && t.field).map(t => t.field))];
+
+// Items a page returned as null are re-fetched one SKU at a time, their SKUs read from a sku-only
+// query of the same page. A field named by an error is left out of the next attempt, until the
+// item comes back or only REQUIRED_FIELDS broke. Resolves with the page's items, recovered ones
+// in place, and a failure row (FAILED_ITEMS_LAYOUT) for every item still missing.
+async function refetchFailedItems(ctx, authorized, { baseUrl, categoryId, store, page, attributes }, items, errors) {
+    const missing = items.map((item, index) => item === null ? index : -1).filter(index => index >= 0);
+    if (missing.length === 0) return { items, failures: [] };
+
+    let skus = [];
+    try {
+        const result = await authorized(`Magento page ${page} SKUs`, (token) => postGraphql(ctx.http, baseUrl, token, {
+            query: PAGE_SKUS_QUERY,
+            variables: { categoryId, pageSize: PAGE_SIZE, currentPage: page },
+            store,
+            label: `Magento page ${page} SKUs`
+        }));
+        skus = (result.data?.products?.items || []).map(item => item?.sku ?? null);
+    } catch (error) {
+        ctx.warn(`⚠️  Could not look up the SKUs of the failed items on page ${page}: ${error.message}`);
+    }
+
+    const recovered = [...items];
+    const failures = [];
+    const fail = (index, sku, fields, error) => {
+        failures.push({ sku, categoryId, store, page, index, fields, error });
+        ctx.warn(`⚠️  ${sku || `Item ${index}`} on page ${page} still fails on its own: ${error}`);
+    };
+
+    for (const index of missing) {
+        const pageError = errors.find(err => errorTarget(err)?.index === index)?.message || 'Item came back empty';
+        const sku = skus[index] ?? null;
+        if (!sku) {
+            fail(index, null, brokenFields(errors, index), pageError);
+            continue;
+        }
+
+        const omit = [];
+        for (;;) {
+            let result;
+            try {
+                result = await authorized(`Magento SKU ${sku}`, (token) => fetchMagentoProduct(ctx.http, baseUrl, token, { sku, store, attributes, omit }));
+            } catch (error) {
+                fail(index, sku, omit, error.message);
+                break;
+            }
+            if (result.item) {
+                recovered[index] = result.item;
+                if (omit.length > 0) ctx.warn(`♻️  ${sku} re-fetched without ${omit.join(', ')}.`);
+                else logger.info(`♻️  ${sku} re-fetched.`);
+                break;
+            }
+
+            const broken = brokenFields(result.errors, 0);
+            const removable = broken.filter(field => !omit.includes(field) && !REQUIRED_FIELDS.includes(field));
+            if (removable.length === 0) {
+                fail(index, sku, [...new Set([...omit, ...broken])], result.errors[0]?.message || 'No product with this SKU in the store view');
+                break;
+            }
+            omit.push(...removable);
+        }
+    }
+    return { items: recovered, failures };
+}
+
+// Runs fetchPage() for every page with at most `concurrency` requests in flight and yields
+// the results in page order, so the options and images rows are written in order too.
+// A failed page is thrown when its turn comes.
+async function* fetchInOrder(pages, concurrency, fetchPage) {
+    const inFlight = [];
+    let next = 0;
+    const fill = () => {
+        while (next < pages.length && inFlight.length < concurrency) {
+            const promise = fetchPage(pages[next++]);
+            promise.catch(() => {}); // Handled when awaited below
+            inFlight.push(promise);
+        }
+    };
+
+    fill();
+    while (inFlight.length > 0) {
+        const result = await inFlight[0];
+        inFlight.shift();
+        fill();
+        yield result;
+    }
+}
+
+// --- 5. MAPPING ---
+// Compares each gallery URL to the base image URL to flag the main image
+function extractImages(productNode) {
+    if (!productNode.media_gallery || !Array.isArray(productNode.media_gallery)) return [];
+    const mainUrl = productNode.image ? productNode.image.url : null;
+
+    return productNode.media_gallery
+        .filter(media => !media.disabled)
+        .map(media => ({ url: media.url, position: media.position, main: Boolean(mainUrl && media.url === mainUrl) }));
+}
+
+// The single-unit price first, then the quantity breaks in ascending order
+function extractTierPrices(item) {
+    const base = item.price_range?.minimum_price;
+    if (!base) return [];
+    const regular = base.regular_price?.value ?? null;
+    const tiers = [{
+        quantity: 1, regularPrice: regular, finalPrice: base.final_price?.value ?? null, currency: base.final_price?.currency ?? null,
+        amountOff: base.discount?.amount_off ?? null, percentOff: base.discount?.percent_off ?? null
+    }];
+    for (const tier of (item.price_tiers || []).filter(t => t && t.quantity > 1)) {
+        tiers.push({
+            quantity: tier.quantity, regularPrice: regular, finalPrice: tier.final_price?.value ?? null, currency: tier.final_price?.currency ?? null,
+            amountOff: tier.discount?.amount_off ?? null, percentOff: tier.discount?.percent_off ?? null
+        });
+    }
+    return tiers.sort((a, b) => a.quantity - b.quantity);
+}
+
+// Selected attributes the product has a value for; non-string values are stored as JSON
+const extractAttributes = (item, codes) => codes
+    .filter(code => item[code] !== null && item[code] !== undefined && item[code] !== '')
+    .map(code => ({ code, value: typeof item[code] === 'string' ? item[code] : JSON.stringify(item[code]) }));
+
+function toRecord(item, extra = {}) {
+    return createProductRecord({
+        sku: item.sku,
+        name: item.name || 'Unknown Product',
+        price: item.price_range?.minimum_price?.final_price?.value || 0,
+        qty: item.only_x_left_in_stock || null,
+        status: item.stock_status || 'UNKNOWN',
+        manufacturer: item.manufacturer,
+        categories: item.categories || [],
+        images: extractImages(item),
+        tierPrices: extractTierPrices(item),
+        id: item.id,
+        attributeSetId: item.attribute_set_id,
+        typeId: (item.__typename || 'unknown').replace('Product', '').toLowerCase(),
+        specialPrice: item.special_price || null,
+        specialFromDate: item.special_from_date || null,
+        specialToDate: item.special_to_date || null,
+        urlKey: item.url_key || null,
+        // The store view's currency; whether it includes VAT is store configuration (--price_vat)
+        currency: item.price_range?.minimum_price?.final_price?.currency || null,
+        ...extra
+    });
+}
+
+// Option rows relating a parent to what it is made of (options table):
+//   configurable  one row per configurable attribute, with its value indices
+//   bundle        one row per selection of a bundle option: attributeId is the bundle option id,
+//                 label "<option title>: <selection label>", qty the default quantity
+//   grouped       one row per item, with its default quantity
+//   downloadable_link, downloadable_sample
+//                 one row per link (with its price) or sample of a downloadable product, with the sample URL
+function parentOptions(item) {
+    const configurable = (item.configurable_options || []).map(opt => ({
+        type: 'configurable',
+        id: opt.id,
+        attributeId: opt.attribute_id_v2,
+        label: opt.label,
+        position: opt.position,
+        valueIndices: opt.values ? opt.values.map(v => v.value_index) : [],
+        productId: item.id
+    }));
+
+    const bundle = (item.bundle_items || []).flatMap(bundleOption => (bundleOption.options || []).filter(selection => selection.product).map(selection => ({
+        type: 'bundle',
+        id: selection.id,
+        attributeId: bundleOption.option_id,
+        label: `${bundleOption.title}: ${selection.label}`,
+        position: bundleOption.position,
+        productId: item.id,
+        childSku: selection.product.sku,
+        qty: selection.quantity
+    })));
+
+    const grouped = (item.grouped_items || []).filter(groupItem => groupItem.product).map(groupItem => ({
+        type: 'grouped',
+        id: groupItem.product.id,
+        label: groupItem.product.name,
+        position: groupItem.position,
+        productId: item.id,
+        childSku: groupItem.product.sku,
+        qty: groupItem.qty
+    }));
+
+    const links = (item.downloadable_product_links || []).map(link => ({
+        type: 'downloadable_link',
+        id: link.uid,
+        label: link.title,
+        position: link.sort_order,
+        productId: item.id,
+        price: link.price,
+        sampleUrl: link.sample_url
+    }));
+
+    const samples = (item.downloadable_product_samples || []).map(sample => ({
+        type: 'downloadable_sample',
+        label: sample.title,
+        position: sample.sort_order,
+        productId: item.id,
+        sampleUrl: sample.sample_url
+    }));
+
+    return [...configurable, ...bundle, ...grouped, ...links, ...samples];
+}
+
+// Variants, bundle selections and grouped items, in that order
+function childProducts(item) {
+    const children = [
+        ...(item.variants || []).map(variant => variant.product),
+        ...(item.bundle_items || []).flatMap(bundleOption => (bundleOption.options || []).map(selection => selection.product)),
+        ...(item.grouped_items || []).map(groupItem => groupItem.product)
+    ];
+    return children.filter(Boolean);
+}
+
+// Flattens a page into parent records (carrying their options) followed by their children
+function mapPage(validItems, store, attributes) {
+    const records = [];
+    const extra = { storeView: store };
+
+    for (const item of validItems) {
+        records.push(toRecord(item, { options: parentOptions(item), extra, attributes: extractAttributes(item, attributes) }));
+
+        for (const child of childProducts(item)) {
+            child.categories = child.categories || item.categories;
+            records.push(toRecord(child, { extra, attributes: extractAttributes(child, attributes) }));
+        }
+    }
+    return records;
+}
+
+// Keeps the first record per SKU and merges the categories of every later one into it
+function mergeBySku(bySku, records) {
+    for (const record of records) {
+        const first = bySku.get(record.sku);
+        if (!first) {
+            bySku.set(record.sku, record);
+            continue;
+        }
+        const known = new Set(first.categories.map(c => String(c.id)));
+        for (const category of record.categories) {
+            if (!known.has(String(category.id))) {
+                known.add(String(category.id));
+                first.categories.push(category);
+            }
+        }
+    }
+}
+
+const WRITE_BATCH_SIZE = 500;
+
+const listFlag = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// --- 6. CONNECTOR ---
+export const magentoConnector = {
+    name: 'Magento',
+    type: 'magento',
+    options,
+    required,
+
+    tables: (values) => ({
+        // The first --store is the one the history and the guardrails compare
+        products: { name: values.db_table, layout: productListLayout({ storeView: true, historyStoreView: listFlag(values.store)[0] ?? null }) },
+        options: { name: values.db_options_table, layout: OPTIONS_LAYOUT },
+        images: { name: values.db_images_table, layout: values.mirror_dir ? MIRRORED_IMAGES_LAYOUT : IMAGES_LAYOUT },
+        ...(values.db_tier_prices_table ? { tier_prices: { name: values.db_tier_prices_table, layout: TIER_PRICES_LAYOUT } } : {}),
+        ...(values.db_attributes_table ? { attributes: { name: values.db_attributes_table, layout: ATTRIBUTES_LAYOUT } } : {}),
+        ...(values.db_failures_table ? { failures: { name: values.db_failures_table, layout: FAILED_ITEMS_LAYOUT } } : {})
+    }),
+
+    async setup(ctx) {
+        const { values } = ctx;
+        if (parseAttributeList(values.attributes).length > 0 && !values.db_attributes_table) throw new Error('--attributes needs --db_attributes_table to store them in');
+
+        const file = checkpointFile(values);
+        const checkpoint = await readCheckpoint(file);
+        if (values.resume) {
+            if (values['dry-run']) throw new Error('--resume cannot be combined with --dry-run, which keeps no staging tables');
+            if (!checkpoint) {
+                ctx.warn(`⚠️  --resume: no checkpoint in ${file}, starting from the first page.`);
+            } else {
+                if (JSON.stringify(checkpoint.scope) !== JSON.stringify(checkpointScope(values))) {
+                    throw new Error(`Checkpoint ${file} belongs to a sync with different --url/--root_cat/--store/--category_tree: ${JSON.stringify(checkpoint.scope)}`);
+                }
+                // Tells the runner to keep the staging tables (see lib/connector.mjs)
+                ctx.resume = true;
+                ctx.resumedRowCounts = checkpoint.rowCounts;
+                ctx.checkpoint = checkpoint;
+                if (checkpoint.pending) {
+                    // The run stopped while writing a batch: whatever part of it was staged goes first
+                    ctx.discard = checkpoint.pending;
+                    logger.info(`Removing the ${checkpoint.pending.records.length} products of the batch that was being written from staging.`);
+                }
+                const next = checkpoint.flushedBatches ? `${checkpoint.flushedBatches} batches` : `page ${checkpoint.lastPage} of ${checkpoint.totalPages ?? '?'}`;
+                logger.info(`Resuming run ${checkpoint.runId}: ${checkpoint.completedStores} store views done, ${next} of the next.`);
+                await fs.appendFile(values.log_file, `--- Resuming Run ${checkpoint.runId}: ${new Date().toISOString()} ---\n`);
+                return;
+            }
+        } else if (checkpoint && !values['dry-run']) {
+            ctx.warn(`⚠️  Run ${checkpoint.runId} was interrupted after page ${checkpoint.lastPage} (see ${file}); starting over. Pass --resume to continue it instead.`);
+        }
+        if (values['dry-run']) {
+            // A dry run leaves the failures of the last real sync in place and adds its own below them
+            await fs.appendFile(values.log_file, `--- Starting Dry Run: ${new Date().toISOString()} ---\n`);
+        } else {
+            await fs.writeFile(values.log_file, `--- Starting New Sync: ${new Date().toISOString()} ---\n`);
+        }
+    },
+
+    async *fetchBatches(ctx) {
+        const { values } = ctx;
+        const concurrency = Number(values.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`--concurrency must be a positive whole number, got "${values.concurrency}"`);
+
+        const baseUrl = values.url.replace(/\/$/, '');
+        const lifetimeHours = Number(values.token_lifetime);
+        if (!(lifetimeHours > 0)) throw new Error(`--token_lifetime must be a positive number of hours, got "${values.token_lifetime}"`);
+        const session = createTokenSession(ctx.http, baseUrl, { username: values.m_user, password: values.m_pass }, {
+            cacheFile: values.token_cache || null, lifetimeHours
+        });
+        // Long runs outlive the token: a rejected call re-authenticates and is sent again
+        const authorized = (label, call) => withTokenRetry(session, call, () => ctx.warn(`🔑 ${label}: token rejected, re-authenticating...`));
+
+        const rootIds = listFlag(values.root_cat);
+        if (rootIds.length === 0) throw new Error('--root_cat needs at least one category ID');
+        const stores = listFlag(values.store);
+        const badStore = stores.find(store => !/^\w+$/.test(store));
+        if (badStore) throw new Error(`--store takes Magento store codes (letters, digits and underscores), got "${badStore}"`);
+        const attributes = parseAttributeList(values.attributes);
+
+        let mirror = null;
+        if (values.mirror_dir && values['dry-run']) {
+            logger.info(`Dry run: images are not mirrored to ${values.mirror_dir}.`);
+        } else if (values.mirror_dir) {
+            const mirrorConcurrency = Number(values.mirror_concurrency);
+            if (!Number.isInteger(mirrorConcurrency) || mirrorConcurrency < 1) throw new Error(`--mirror_concurrency must be a positive whole number, got "${values.mirror_concurrency}"`);
+            mirror = await openImageMirror({ dir: values.mirror_dir, http: ctx.http, concurrency: mirrorConcurrency, warn: ctx.warn });
+        }
+
+        // Resolves with { page, totalPages, records, failures }; every page reports the page count
+        const fetchCategory = async function* (categoryId, store, firstPage = 1) {
+            let totalPages = '?';
+            const fetchPage = async (page) => {
+                logger.info(`Fetching page ${page} of ${totalPages} (category ${categoryId}${store ? `, store ${store}` : ''})...`);
+                let pageErrors = [];
+                const productsData = await authorized(`Magento page ${page}`, (token) => fetchMagentoPage(ctx.http, baseUrl, token, {
+                    categoryId,
+                    page,
+                    store,
+                    attributes,
+                    onErrors: (errors) => {
+                        pageErrors = errors;
+                        return logPageErrors(ctx, { categoryId, store }, page, errors);
+                    }
+                }));
+                ctx.stats.pages++;
+                totalPages = productsData.page_info.total_pages;
+
+                const { items, failures } = await refetchFailedItems(ctx, authorized, { baseUrl, categoryId, store, page, attributes }, productsData.items || [], pageErrors);
+                const records = mapPage(items.filter(item => item !== null), store, attributes);
+                if (mirror) await mirror.mirror(records);
+                return { page, totalPages, records, failures };
+            };
+
+            // The first page alone, to learn the page count
+            yield await fetchPage(firstPage);
+
+            const remaining = Array.from({ length: Math.max(0, totalPages - firstPage) }, (_, i) => i + firstPage + 1);
+            if (remaining.length > 0) logger.info(`Fetching the remaining ${remaining.length} pages, ${concurrency} at a time...`);
+            yield* fetchInOrder(remaining, concurrency, fetchPage);
+        };
+
+        // Failure rows are only kept with --db_failures_table
+        const batchOf = (records, failures) => values.db_failures_table ? { records, rows: { failures } } : records;
+        // The ids the batch will be written under, for the checkpoint saved before it is written
+        const pendingOf = (records, failures) => {
+            for (const record of records) record.uuid ??= crypto.randomUUID();
+            for (const failure of failures) failure.id ??= crypto.randomUUID();
+            return { records: records.map(r => r.uuid), rows: { failures: failures.map(f => f.id) } };
+        };
+
+        // Nothing is recorded for a dry run, which writes no staging tables to resume into
+        const file = checkpointFile(values);
+        const scope = checkpointScope(values);
+        const checkpoint = async (progress) => {
+            if (!values['dry-run']) await saveCheckpoint(file, { runId: ctx.checkpoint?.runId || ctx.runId, scope, ...progress, rowCounts: { ...ctx.rowCounts } });
+        };
+
+        // The manifest is saved even when the run fails, so the images it got are not fetched again
+        try {
+            const storeViews = stores.length > 0 ? stores : [null];
+            const resumed = ctx.resume ? ctx.checkpoint : null;
+            for (let index = resumed?.completedStores ?? 0; index < storeViews.length; index++) {
+                const store = storeViews[index];
+                const categoryIds = values.category_tree ? await authorized('Magento category tree', (token) => getCategoryTree(ctx.http, baseUrl, token, { rootIds, store })) : rootIds;
+                if (values.category_tree) logger.info(`Category tree of ${rootIds.join(', ')}: ${categoryIds.length} categories.`);
+
+                // Every batch is checkpointed twice: as `pending`, with the ids of its rows, before it is
+                // written, and as done once written (the code after a yield runs when the runner asks
+                // for the next batch). A resume after a crash in between removes whatever part of the
+                // pending batch reached staging (ctx.discard) and writes it again.
+                if (categoryIds.length === 1) {
+                    // One category: every page is written as it arrives
+                    const lastPage = resumed && index === resumed.completedStores ? resumed.lastPage : 0;
+                    if (!(resumed?.totalPages && lastPage >= resumed.totalPages)) {
+                        for await (const { page, totalPages, records, failures } of fetchCategory(categoryIds[0], store, lastPage + 1)) {
+                            await checkpoint({ completedStores: index, lastPage: page - 1, totalPages, pending: pendingOf(records, failures) });
+                            yield batchOf(records, failures);
+                            await checkpoint({ completedStores: index, lastPage: page, totalPages });
+                        }
+                    }
+                } else {
+                    // A SKU can sit in several categories, so the store view is only written once all of
+                    // its categories are fetched and merged, in batches. A resume fetches the store view
+                    // again and skips the batches already staged (merged SKUs keep the order they were
+                    // fetched in, so the batches come out the same).
+                    const flushedBatches = resumed && index === resumed.completedStores ? (resumed.flushedBatches ?? 0) : 0;
+                    const bySku = new Map();
+                    const failures = [];
+                    for (const categoryId of categoryIds) {
+                        for await (const page of fetchCategory(categoryId, store)) {
+                            mergeBySku(bySku, page.records);
+                            failures.push(...page.failures);
+                        }
+                    }
+                    const records = [...bySku.values()];
+                    // The failures go with the first batch, which is also sent when no record is left
+                    for (let i = 0, batch = 1; i < Math.max(records.length, 1); i += WRITE_BATCH_SIZE, batch++) {
+                        if (batch <= flushedBatches) continue;
+                        const slice = records.slice(i, i + WRITE_BATCH_SIZE);
+                        const sliceFailures = i === 0 ? failures : [];
+                        await checkpoint({ completedStores: index, lastPage: 0, totalPages: null, flushedBatches: batch - 1, pending: pendingOf(slice, sliceFailures) });
+                        yield batchOf(slice, sliceFailures);
+                        await checkpoint({ completedStores: index, lastPage: 0, totalPages: null, flushedBatches: batch });
+                    }
+                }
+                await checkpoint({ completedStores: index + 1, lastPage: 0, totalPages: null });
+            }
+        } finally {
+            if (mirror) {
+                await mirror.save();
+                const { downloaded, unchanged, failed } = mirror.stats;
+                logger.info(`Image mirror: ${downloaded} downloaded, ${unchanged} unchanged, ${failed} failed (${values.mirror_dir}).`);
+            }
+        }
+    },
+
+    // Only a published snapshot ends the run for good
+    async complete({ values }) {
+        await fs.rm(checkpointFile(values), { force: true });
+    }
+};
+
+// Library API: see lib/connector.mjs for the options and the result
+export const syncMagento = (options) => syncConnector(magentoConnector, options);
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import OAuth from 'oauth-1.0a';
+import { syncConnector } from '../lib/connector.mjs';
+import { createProductRecord, productListLayout, OPTIONS_LAYOUT } from '../lib/products.mjs';
+import { logger } from '../lib/logger.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    url: { type: 'string' },
+    consumer_key: { type: 'string' },
+    consumer_secret: { type: 'string', secret: true },
+    access_token: { type: 'string', secret: true },
+    token_secret: { type: 'string', secret: true },
+    db_table: { type: 'string' },
+    db_options_table: { type: 'string' }, // Optional: configurable attribute values of every child, linked to its parent
+};
+
+const required = ['url', 'consumer_key', 'consumer_secret', 'access_token', 'token_secret', 'db_table'];
+
+// --- 2. OAUTH 1.0a SETUP (SHA-256) ---
+export function createOAuth(values) {
+    return new OAuth({
+        consumer: {
+            key: values.consumer_key,
+            secret: values.consumer_secret
+        },
+        signature_method: 'HMAC-SHA256',
+        hash_function(base_string, key) {
+            return crypto.createHmac('sha256', key).update(base_string).digest('base64');
+        },
+    });
+}
+
+// --- 3. API FETCHING ---
+export async function fetchCustomApiPage(http, baseUrl, oauth, token, page) {
+    const requestUrl = `${baseUrl}/rest/V1/customerapi/products?searchCriteria[pageSize]=100&searchCriteria[currentPage]=${page}&searchCriteria[mapConfigurables]=1`;
+
+    const requestData = {
+        url: requestUrl,
+        method: 'GET',
+    };
+
+    // Signed per attempt: a retry must not reuse the previous nonce
+    const response = await http.request(requestUrl, () => ({
+        method: 'GET',
+        headers: {
+            ...oauth.toHeader(oauth.authorize(requestData, token)),
+            'Content-Type': 'application/json'
+        }
+    }), { label: `Marathon page ${page}` });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API fetch failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return await response.json();
+}
+
+// --- 4. MAPPING ---
+// Categories come either as [{ id, name }] or as bare IDs (an array or a comma-separated string)
+function extractCategories(item) {
+    if (Array.isArray(item.categories)) return item.categories.map(c => ({ id: c.id, name: c.name ?? null }));
+    const ids = Array.isArray(item.category_ids) ? item.category_ids : String(item.category_ids ?? '').split(',');
+    return ids.map(id => String(id).trim()).filter(Boolean).map(id => ({ id, name: null }));
+}
+
+// With mapConfigurables=1 a configurable parent lists its `configurable_options`
+// ([{ id, attribute_id, code, label, position }]) and each child carries its value under
+// the option's code. One options row per child and option, like Magento's options table:
+// Child_sku names the child and Opt_Product id the parent. `children` are the ones stored
+// under this parent (see mapPage).
+function childOptions(parent, children) {
+    return (parent.configurable_options || []).flatMap(opt => children.map(child => ({
+        type: 'configurable',
+        id: opt.id,
+        attributeId: opt.attribute_id,
+        label: opt.label,
+        position: opt.position,
+        valueIndices: child[opt.code] !== undefined && child[opt.code] !== null ? [child[opt.code]] : [],
+        productId: parent.id,
+        childSku: child.sku
+    })));
+}
+
+function toRecord(item, { parent = null } = {}) {
+    const categories = extractCategories(item);
+    return createProductRecord({
+        sku: item.sku,
+        name: item.name,
+        price: parseFloat(item.price_ex_vat_gbp || 0),
+        rrp: parseFloat(item.rrp_ex_vat_gbp || 0),
+        qty: parseFloat(item.stock_level || 0),
+        status: item.in_stock === 1 ? 'IN_STOCK' : 'OUT_OF_STOCK',
+        typeId: item.type,
+        id: item.id ?? null,
+        attributeSetId: item.attribute_set_id ?? null,
+        // Children without categories of their own inherit the parent's
+        categories: categories.length > 0 || !parent ? categories : extractCategories(parent),
+        extra: { parentSku: parent?.sku ?? null }
+    });
+}
+
+// Parents and their children are flattened into one list, de-duplicated by SKU.
+// A child listed under two parents keeps the first as its Parent_sku.
+function mapPage(productsDict) {
+    const uniqueProducts = new Map();
+    const items = Object.values(productsDict);
+
+    for (const item of items) {
+        uniqueProducts.set(item.sku, toRecord(item));
+
+        if (item.children && Array.isArray(item.children)) {
+            for (const child of item.children) {
+                if (!uniqueProducts.has(child.sku)) {
+                    uniqueProducts.set(child.sku, toRecord(child, { parent: item }));
+                }
+            }
+        }
+    }
+
+    // Options only once every Parent_sku is settled: a parent gets rows for the children stored
+    // under it, never for a child kept by another parent or for itself listed as a child
+    for (const item of items) {
+        const record = uniqueProducts.get(item.sku);
+        const children = (item.children || []).filter(child => child && child.sku !== item.sku && uniqueProducts.get(child.sku)?.extra.parentSku === item.sku);
+        record.options = childOptions(item, children);
+    }
+    return Array.from(uniqueProducts.values());
+}
+
+// --- 5. CONNECTOR ---
+export const marathonConnector = {
+    name: 'Marathon',
+    type: 'marathon',
+    options,
+    required,
+
+    // Prices are price_ex_vat_gbp
+    priceBasis: { currency: 'GBP', vat: 'ex' },
+
+    // Marathon is the only supplier reporting an RRP, so its table carries the extra `Rrp` column
+    tables: (values) => ({
+        products: { name: values.db_table, layout: productListLayout({ rrp: true, parentSku: true }) },
+        ...(values.db_options_table ? { options: { name: values.db_options_table, layout: OPTIONS_LAYOUT } } : {})
+    }),
+
+    async *fetchBatches({ values, stats, http }) {
+        const baseUrl = values.url.replace(/\/$/, '');
+        const oauth = createOAuth(values);
+        const token = {
+            key: values.access_token,
+            secret: values.token_secret
+        };
+
+        let currentPage = 1;
+        let maxPage = 1;
+
+        logger.info(`Starting fetch from ${baseUrl}...`);
+
+        while (currentPage <= maxPage) {
+            logger.info(`Fetching page ${currentPage} of ${maxPage}...`);
+            const responseData = await fetchCustomApiPage(http, baseUrl, oauth, token, currentPage);
+            stats.pages++;
+
+            const metadata = responseData[0];
+            const productsDict = responseData[1];
+
+            if (currentPage === 1) {
+                maxPage = metadata.max_page;
+                logger.info(`Total catalog size to fetch: ${metadata.total_products} products.`);
+            }
+
+            if (productsDict) yield mapPage(productsDict);
+            currentPage++;
+        }
+    }
+};
+
+// Library API: see lib/connector.mjs for the options and the result
+export const syncMarathon = (options) => syncConnector(marathonConnector, options);
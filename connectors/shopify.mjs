@@ -0,0 +1,431 @@
+import puppeteer from 'puppeteer';
+import { syncConnector, createBatchChannel } from '../lib/connector.mjs';
+import { createProductRecord } from '../lib/products.mjs';
+import { logger } from '../lib/logger.mjs';
+import { DEFAULT_CURRENCY } from '../lib/pricing.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    target_site:    { type: 'string' },
+    sku_identifier: { type: 'string', default: 'sku' },
+    mpn_identifier: { type: 'string', default: 'barcode' },
+    lead_selector:  { type: 'string', default: '.product-stock-level__text, .lead-time, .dispatch-message, .stock-status' },
+    lead_timeout:   { type: 'string', default: '10000' }, // ms to wait for lead time module to render
+    threads:        { type: 'string', default: '3' },     // reduced default to avoid rate limiting
+    request_delay:  { type: 'string', default: '2000' },  // ms pause between products per worker
+    cookie:         { type: 'string', default: '', secret: true }, // session cookies are as sensitive as a password
+    user_agent:     { type: 'string', default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+    db_table:       { type: 'string' }
+};
+
+const required = ['target_site', 'db_table'];
+
+// One row per variant, upserted on (variant_id, supplier_url)
+const SHOPIFY_LAYOUT = {
+    columns: [
+        { name: 'id',                type: 'INT AUTO_INCREMENT PRIMARY KEY' },
+        { name: 'variant_id',        type: 'BIGINT NOT NULL',      value: r => r.extra.variantId, key: true },
+        { name: 'supplier_url',      type: 'VARCHAR(255) NOT NULL', value: r => r.extra.supplierUrl, key: true },
+        { name: 'product_url',       type: 'VARCHAR(500) NOT NULL', value: r => r.extra.productUrl },
+        { name: 'sku',               type: 'VARCHAR(128) NOT NULL', value: r => r.sku },
+        { name: 'mpn',               type: 'VARCHAR(128)',          value: r => r.extra.mpn },
+        { name: 'title',             type: 'TEXT',                  value: r => r.name },
+        { name: 'variant_title',     type: 'VARCHAR(255)',          value: r => r.extra.variantTitle },
+        { name: 'price',             type: 'DECIMAL(12,2)',         value: r => r.price },
+        { name: 'stock_qty',         type: 'INT',                   value: r => r.qty },
+        { name: 'lead_time_message', type: 'VARCHAR(255)',          value: r => r.extra.leadTimeMessage },
+        // Price basis and GBP prices (see lib/pricing.mjs)
+        { name: 'currency',          type: 'VARCHAR(3)',            value: r => r.currency },
+        { name: 'vat_basis',         type: 'VARCHAR(3)',            value: r => r.vatBasis },
+        { name: 'price_gbp_ex_vat',  type: 'DECIMAL(12,2)',         value: r => r.priceGbpExVat },
+        { name: 'price_gbp_inc_vat', type: 'DECIMAL(12,2)',         value: r => r.priceGbpIncVat },
+        { name: 'scraped_at',        type: 'DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP' }
+    ],
+    indexes: ['UNIQUE KEY `idx_variant_supplier` (`variant_id`, `supplier_url`)'],
+    tableOptions: 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4',
+    upsert: true,
+    history: { sku: 'sku', price: 'price', qty: 'stock_qty' }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function applySession(page, values) {
+    await page.setUserAgent(values.user_agent);
+    if (values.cookie) {
+        const targetDomain = new URL(values.target_site).hostname;
+        const cookieObjs = values.cookie.split(';').filter(c => c.trim() !== '').map(pair => {
+            const [name, ...rest] = pair.trim().split('=');
+            return { name: name.trim(), value: rest.join('=').trim(), domain: targetDomain };
+        });
+        if (cookieObjs.length > 0) await page.setCookie(...cookieObjs);
+    }
+}
+
+// Creates a fresh worker tab with request interception configured
+async function createWorkerTab(browser, values) {
+    const tab = await browser.newPage();
+    await applySession(tab, values);
+    await tab.setRequestInterception(true);
+    tab.on('request', (req) => {
+        if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) req.abort();
+        else req.continue();
+    });
+    return tab;
+}
+
+// --- 2. CONNECTOR ---
+export const shopifyConnector = {
+    name: 'Shopify',
+    type: 'shopify',
+    endpointOption: 'target_site',
+    options,
+    required,
+
+    // Records carry the shop's currency (Shopify.currency.active, else GBP); whether its prices
+    // include VAT is a shop setting /products.json does not expose
+    priceBasis: { vat: null },
+
+    tables: (values) => ({
+        products: { name: values.db_table, layout: SHOPIFY_LAYOUT }
+    }),
+
+    async *fetchBatches({ values, stats, warn }) {
+        const baseUrl       = values.target_site.replace(/\/$/, '');
+        const maxConcurrent = parseInt(values.threads, 10) || 3;
+        const leadTimeout   = parseInt(values.lead_timeout, 10) || 10000;
+        const requestDelay  = parseInt(values.request_delay, 10) || 500;
+        const channel       = createBatchChannel();
+        let browser;
+
+        try {
+            logger.info(`Launching headless browser...`);
+            browser = await puppeteer.launch({
+                headless: "new",
+                protocolTimeout: 120000,
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu']
+            });
+
+            const discoveryPage = await browser.newPage();
+            await applySession(discoveryPage, values);
+
+            logger.info(`Navigating to ${baseUrl} to initialize session and bypass CORS...`);
+            await discoveryPage.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+
+            // --- LOGIN VERIFICATION ---
+            // Only runs when --cookie is provided.
+            // Inspects the already-loaded homepage for indicators that the session is authenticated.
+            // We stay on the main domain throughout — following the account link to its portal
+            // doesn't work because it uses a separate subdomain with its own cookie scope.
+            //
+            // Three signals checked in priority order:
+            //   1. Account link contains B2B company params (company_location_id) — definitive for trade portals
+            //   2. Page contains a logout link — definitive for any logged-in Shopify session
+            //   3. Page still shows a "Log in" link with no logout — definitive for guest sessions
+            if (values.cookie) {
+                logger.info(`\n🔐 Verifying login session...`);
+
+                const loginState = await discoveryPage.evaluate(() => {
+                    const links = Array.from(document.querySelectorAll('a'));
+                    const body = (document.body.innerText || '').toLowerCase();
+
+                    const accountLink = links.find(a => {
+                        const text = a.textContent.trim().toLowerCase();
+                        const href = (a.getAttribute('href') || '').toLowerCase();
+                        return text.includes('account') || href.includes('/account') || href.includes('account.');
+                    });
+
+                    return {
+                        accountHref:          accountLink ? accountLink.href : null,
+                        accountText:          accountLink ? accountLink.textContent.trim() : null,
+                        hasCompanyLocationId: accountLink ? accountLink.href.includes('company_location_id') : false,
+                        hasLogout:            !!links.find(a => {
+                                                  const t = a.textContent.trim().toLowerCase();
+                                                  const h = (a.getAttribute('href') || '').toLowerCase();
+                                                  return t.includes('log out') || t.includes('logout') || t.includes('sign out') ||
+                                                         h.includes('logout') || h.includes('sign_out');
+                                              }),
+                        hasLoginLink:         !!links.find(a => {
+                                                  const t = a.textContent.trim().toLowerCase();
+                                                  const h = (a.getAttribute('href') || '').toLowerCase();
+                                                  return (t === 'log in' || t === 'login' || t === 'sign in') ||
+                                                         h.includes('/account/login') || h.endsWith('/login');
+                                              }),
+                    };
+                });
+
+                if (loginState.hasCompanyLocationId) {
+                    logger.info(`✅ Login verified — B2B trade session active (company_location_id present in account link).`);
+                    logger.info(`   Account link: ${loginState.accountHref}`);
+                } else if (loginState.hasLogout) {
+                    logger.info(`✅ Login verified — logout link found on homepage.`);
+                } else if (loginState.hasLoginLink) {
+                    logger.error(`\n❌ LOGIN FAILED — homepage shows a "Log in" link, session cookies are not active.`);
+                    logger.error(`   Account link found: "${loginState.accountText}" → ${loginState.accountHref}`);
+                    logger.error(`\n   To fix: log in to ${baseUrl} in your browser, copy fresh`);
+                    logger.error(`   cookies from DevTools → Application → Cookies, and update --cookie.\n`);
+                    throw new Error('Shopify login failed — session cookies are not active.');
+                } else {
+                    // Could not find any definitive login/logout indicator — warn and continue.
+                    // The price sanity check below is the fallback confirmation.
+                    warn(`⚠️  Login check inconclusive — no logout or login link found on homepage.`);
+                    logger.warn(`   Account link: "${loginState.accountText}" → ${loginState.accountHref}`);
+                    logger.warn(`   Continuing — verify trade pricing in the price check output below.\n`);
+                }
+            } else {
+                logger.info(`ℹ️  No cookie provided — running as guest (public pricing).`);
+            }
+
+            // The storefront's currency, which /products.json prices are in
+            const shopCurrency = await discoveryPage.evaluate(() => window.Shopify?.currency?.active || null).catch(() => null);
+            let currency = shopCurrency || values.price_currency?.trim().toUpperCase();
+            if (currency) {
+                logger.info(`Prices are in ${currency}${shopCurrency ? '' : ' (--price_currency)'}.`);
+            } else {
+                currency = DEFAULT_CURRENCY;
+                warn(`⚠️  ${baseUrl} does not report its currency (Shopify.currency.active): assuming ${DEFAULT_CURRENCY}. Set --price_currency to override.`);
+            }
+
+            // Discovery: fetch full product objects from the authenticated /products.json endpoint.
+            // Prices captured here reflect the logged-in trade price, which is what we use for the DB.
+            // The per-product .json fetch later is used only for inventory_quantity.
+            logger.info(`\n🔍 Fetching entire product catalog via master JSON endpoint...`);
+            const allProducts = []; // [{ url, product }]
+            let page = 1;
+            let hasMore = true;
+            let previousPageFirstHandle = '';
+
+            while (hasMore) {
+                const jsonUrl = `${baseUrl}/products.json?limit=250&page=${page}`;
+                logger.info(` -> Fetching catalog page ${page}...`);
+
+                const data = await discoveryPage.evaluate(async (url) => {
+                    try {
+                        const response = await fetch(url);
+                        if (!response.ok) return { status: response.status, products: null };
+                        const json = await response.json();
+                        return { status: 200, products: json.products };
+                    } catch (e) {
+                        return { status: 0, products: null };
+                    }
+                }, jsonUrl);
+
+                if (data && data.products && data.products.length > 0) {
+                    // Guard against Shopify pagination bug: page N returning same products as page N-1
+                    if (data.products[0].handle === previousPageFirstHandle) {
+                        hasMore = false;
+                        break;
+                    }
+                    previousPageFirstHandle = data.products[0].handle;
+                    for (const p of data.products) {
+                        allProducts.push({ url: `${baseUrl}/products/${p.handle}`, product: p });
+                    }
+                    page++;
+                    stats.pages++;
+                } else {
+                    hasMore = false;
+                }
+            }
+
+            // Deduplicate by URL
+            const seen = new Set();
+            const uniqueProducts = allProducts.filter(({ url }) => {
+                if (seen.has(url)) return false;
+                seen.add(url);
+                return true;
+            });
+
+            logger.info(`✅ Discovery complete. Found ${uniqueProducts.length} unique products.`);
+
+            // First variant price for the console. Expired session cookies (RRP instead of trade
+            // prices) are caught by the median price guardrail before the snapshot is published.
+            if (uniqueProducts.length > 0) {
+                const firstVariant = uniqueProducts[0].product?.variants?.[0];
+                if (firstVariant) {
+                    logger.info(`💰 Price check — "${uniqueProducts[0].product.title}" first variant: ${currency} ${firstVariant.price} (${firstVariant.sku || firstVariant.id})\n`);
+                }
+            }
+
+            logger.info(`🚀 Launching ${maxConcurrent} browser threads to extract lead times & inventory...\n`);
+
+            await discoveryPage.close();
+
+            let currentIndex = 0;
+            let completedCount = 0;
+            // Items that returned 429 are pushed here and retried after the main queue is drained
+            const retryQueue = [];
+            // Set when the runner stops reading batches, so the workers take no further products
+            let stopped = false;
+
+            async function worker(workerId) {
+                let pageTab = await createWorkerTab(browser, values);
+
+                // Processes the main queue then the retry queue
+                const getNext = () => {
+                    if (stopped) return null;
+                    if (currentIndex < uniqueProducts.length) return { item: uniqueProducts[currentIndex++], isRetry: false };
+                    if (retryQueue.length > 0) return { item: retryQueue.shift(), isRetry: true };
+                    return null;
+                };
+
+                while (true) {
+                    // Wait if main queue empty but retries may still be added by other workers
+                    let next = getNext();
+                    if (!next) {
+                        // Small wait to allow other workers to potentially push to retryQueue
+                        await sleep(200);
+                        next = getNext();
+                        if (!next) break;
+                    }
+
+                    const { item, isRetry } = next;
+                    const { url: productUrl, product } = item;
+
+                    if (isRetry) {
+                        logger.info(`[Thread ${workerId}] 🔄 Retrying: ${productUrl.split('/').pop()}`);
+                        await sleep(5000); // back off before retry
+                    } else {
+                        logger.debug(`[Thread ${workerId}] 🌐 Loading: ${productUrl.split('/').pop()}`);
+                    }
+
+                    try {
+                        const navResponse = await pageTab.goto(productUrl, { waitUntil: 'domcontentloaded', timeout: 30000 })
+                            .catch(err => {
+                                warn(`[Thread ${workerId}] ⚠️ Navigation failed: ${err.message}`);
+                                return null;
+                            });
+
+                        if (!navResponse) {
+                            logger.error(`[Thread ${workerId}] ❌ Skipping — page did not load: ${productUrl}`);
+                            await pageTab.close().catch(() => {});
+                            pageTab = await createWorkerTab(browser, values);
+                            continue;
+                        }
+
+                        // Wait for the lead time module — injected by a third-party app after render
+                        logger.debug(`[Thread ${workerId}] ⏳ Waiting for lead time module (up to ${leadTimeout}ms)...`);
+                        await pageTab.waitForSelector(values.lead_selector, { timeout: leadTimeout })
+                            .catch(() => {
+                                logger.debug(`[Thread ${workerId}] ℹ️ Lead time module not found within timeout.`);
+                            });
+
+                        const leadTimeMessage = await pageTab.evaluate((selector) => {
+                            const el = document.querySelector(selector);
+                            return (el && el.innerText.trim()) ? el.innerText.trim() : null;
+                        }, values.lead_selector);
+
+                        if (leadTimeMessage) {
+                            logger.debug(`[Thread ${workerId}] ⏱️ Lead time: "${leadTimeMessage}"`);
+                        } else {
+                            logger.debug(`[Thread ${workerId}] ℹ️ No lead time message found.`);
+                        }
+
+                        // Fetch per-product JSON for inventory_quantity.
+                        // Price and all other variant fields come from the discovery data (trade price).
+                        logger.debug(`[Thread ${workerId}] 📦 Fetching inventory data...`);
+                        const inventoryData = await pageTab.evaluate(async (url) => {
+                            const controller = new AbortController();
+                            const timeoutId = setTimeout(() => controller.abort(), 10000);
+                            try {
+                                const response = await fetch(url + '.json', { signal: controller.signal });
+                                clearTimeout(timeoutId);
+                                if (!response.ok) return { status: response.status, variants: null };
+                                const json = await response.json();
+                                // Return only the fields we need to keep the payload small
+                                const variants = (json.product?.variants || []).map(v => ({
+                                    id: v.id,
+                                    inventory_quantity: v.inventory_quantity
+                                }));
+                                return { status: 200, variants };
+                            } catch (e) {
+                                return { status: 0, variants: null };
+                            }
+                        }, productUrl);
+
+                        if (inventoryData.status === 429) {
+                            logger.warn(`[Thread ${workerId}] ⚠️ Rate limited (429) — queuing for retry: ${productUrl.split('/').pop()}`);
+                            retryQueue.push(item);
+                            continue;
+                        }
+
+                        if (inventoryData.status !== 200) {
+                            warn(`[Thread ${workerId}] ⚠️ Inventory fetch failed (HTTP ${inventoryData.status}) — saving without stock qty.`);
+                        }
+
+                        // Build a lookup map of variantId → inventory_quantity from the per-product fetch
+                        const inventoryMap = new Map(
+                            (inventoryData.variants || []).map(v => [v.id, v.inventory_quantity])
+                        );
+
+                        // Use discovery product data for price, sku, mpn, title, variant_title
+                        const variants = product?.variants;
+                        if (!Array.isArray(variants) || variants.length === 0) {
+                            warn(`[Thread ${workerId}] ⚠️ No variants in discovery data for: ${productUrl}`);
+                            continue;
+                        }
+
+                        const records = variants.map(variant => {
+                            const variantId = variant.id;
+                            // Prefer inventory from the per-product fetch; fall back to discovery value
+                            const stockQty  = inventoryMap.has(variantId)
+                                ? (inventoryMap.get(variantId) ?? null)
+                                : (variant.inventory_quantity ?? null);
+
+                            return createProductRecord({
+                                sku:   variant[values.sku_identifier] || variant.sku || variantId.toString(),
+                                name:  product.title,
+                                price: variant.price, // trade price from authenticated discovery fetch
+                                qty:   stockQty,
+                                currency,
+                                extra: {
+                                    variantId,
+                                    supplierUrl:     baseUrl,
+                                    productUrl,
+                                    mpn:             variant[values.mpn_identifier] || null,
+                                    variantTitle:    variant.title !== 'Default Title' ? variant.title : null,
+                                    leadTimeMessage
+                                }
+                            });
+                        });
+                        logger.debug(`[Thread ${workerId}] 💾 Queuing ${records.length} variant(s) for the DB...`);
+                        channel.push(records);
+
+                        completedCount++;
+                        logger.info(`[Thread ${workerId}] ✅ DONE (${completedCount}/${uniqueProducts.length})`);
+
+                    } catch (err) {
+                        logger.error(`[Thread ${workerId}] ❌ CRASH: ${err.message}`);
+                        await pageTab.close().catch(() => {});
+                        pageTab = await createWorkerTab(browser, values);
+                    }
+
+                    // Throttle between products to avoid overwhelming the server
+                    if (requestDelay > 0) await sleep(requestDelay);
+                }
+
+                await pageTab.close().catch(() => {});
+            }
+
+            const workers = [];
+            for (let i = 1; i <= maxConcurrent; i++) {
+                workers.push(worker(i));
+            }
+            const scanning = Promise.all(workers).then(() => channel.close(), error => channel.close(error));
+            try {
+                yield* channel;
+            } finally {
+                // The runner stopped early (e.g. a failed write): the workers finish the product in
+                // hand and stop, before the browser is closed under them
+                stopped = true;
+                await scanning;
+            }
+
+            logger.info(`\n🎉 Scanner finished! ${completedCount}/${uniqueProducts.length} products processed.`);
+
+        } finally {
+            if (browser) await browser.close();
+        }
+    }
+};
+
+// Library API: see lib/connector.mjs for the options and the result
+export const syncShopify = (options) => syncConnector(shopifyConnector, options);
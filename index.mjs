@@ -0,0 +1,37 @@
+// Public API of the inventory scripts, for Node services that want to run a sync or reuse a
+// client without spawning the command-line scripts (which are thin wrappers around these).
+//
+// The sync and job functions take an options object keyed like the script's flags and resolve
+// with a structured result (see lib/connector.mjs and lib/job.mjs):
+//
+//   import { syncB2BWave } from './index.mjs';
+//   const result = await syncB2BWave({ url, b_email, b_token, db_table: 'B2BWave', sink: 'sqlite' });
+//   // { outcome: 'succeeded', pagesFetched: 12, rows: { products: 1180 }, rowsWritten: 1180, warnings: [], ... }
+//
+// This module loads every connector's dependencies (puppeteer, crawlee, ...); import a single
+// module from connectors/ or jobs/ to avoid that.
+
+// --- Supplier syncs ---
+export { syncMagento, magentoConnector, getAuthToken, createTokenSession, fetchMagentoPage, fetchMagentoProduct, getCategoryTree, getProductAttributes } from './connectors/magento.mjs';
+export { syncMarathon, marathonConnector, createOAuth, fetchCustomApiPage } from './connectors/marathon.mjs';
+export { syncB2BWave, b2bwaveConnector, fetchB2BWavePage } from './connectors/b2bwave.mjs';
+export { syncBms, bmsConnector, getSessionCookies, getBrandDictionary } from './connectors/bms.mjs';
+export { syncShopify, shopifyConnector } from './connectors/shopify.mjs';
+
+// --- Linnworks, cache purges, file downloads and Magento attribute discovery ---
+export { runLinnworksJob, linnworksJob, fetchLinnworks } from './jobs/linnworks.mjs';
+export { runCloudwaysAction, cloudwaysJob } from './jobs/cloudways.mjs';
+export { clearSucuriCache, sucuriJob } from './jobs/sucuri.mjs';
+export { downloadSupplierFiles, fileDownloadJob } from './jobs/file-download.mjs';
+export { listMagentoAttributes, magentoAttributesJob } from './jobs/magento-attributes.mjs';
+
+// --- Building blocks ---
+export { syncConnector, createBatchChannel } from './lib/connector.mjs';
+export { executeJob } from './lib/job.mjs';
+export { createProductRecord, stockStatus, productListLayout, OPTIONS_LAYOUT, IMAGES_LAYOUT, MIRRORED_IMAGES_LAYOUT, TIER_PRICES_LAYOUT, ATTRIBUTES_LAYOUT, FAILED_ITEMS_LAYOUT, PRICE_BASIS_COLUMNS } from './lib/products.mjs';
+export { loadRateTable, createPriceNormalizer } from './lib/pricing.mjs';
+export { createHttpClient } from './lib/http.mjs';
+export { loadRegistry } from './lib/registry.mjs';
+export { loadPipeline, runPipeline } from './lib/pipeline.mjs';
+export { getSkuTimeline } from './lib/history.mjs';
+export { EXIT_OK, EXIT_FAILURE, EXIT_ANOMALY } from './lib/exit-codes.mjs';
@@ -0,0 +1,121 @@
+import { executeJob } from '../lib/job.mjs';
+import { logger } from '../lib/logger.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    email: { type: 'string' },
+    api_key: { type: 'string', secret: true },
+    server_label: { type: 'string', default: 'Vision_HP' }, // Finds your server by name
+    action: { type: 'string', default: 'purge_varnish' },   // purge_varnish OR restart_server
+    api_url: { type: 'string', default: 'https://api.cloudways.com/api' }, // Pointed at a local stand-in by the tests
+};
+
+const required = ['email', 'api_key'];
+
+const ACTIONS = ['purge_varnish', 'restart_server'];
+
+// --- 2. JOB ---
+// --dry-run resolves the server and reports the action, without running it
+async function runCloudways({ values, dryRun }) {
+    const authUrl = `${values.api_url}/v1`; // Cloudways still uses v1 for OAuth
+    const apiUrl = `${values.api_url}/v2`;  // Using v2 for the server actions
+
+    logger.info('Authenticating with Cloudways API...');
+    
+    // STEP 1: Get OAuth Bearer Token
+    const authParams = new URLSearchParams();
+    authParams.append('email', values.email);
+    authParams.append('api_key', values.api_key);
+
+    const authResponse = await fetch(`${authUrl}/oauth/access_token`, {
+        method: 'POST',
+        body: authParams
+    });
+
+    if (!authResponse.ok) {
+        throw new Error(`Authentication failed: ${authResponse.statusText}`);
+    }
+
+    const authData = await authResponse.json();
+    const token = authData.access_token;
+    logger.info('✅ Authentication successful.');
+
+    // STEP 2: Find the Server ID dynamically by Label
+    logger.info(`Searching for server labeled "${values.server_label}"...`);
+    const serversResponse = await fetch(`${apiUrl}/server`, {
+        method: 'GET',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const serversData = await serversResponse.json();
+    
+    // The API returns an array of servers inside the "servers" object
+    const serverList = serversData.servers || (serversData.server ? [serversData.server] : []);
+    const targetServer = serverList.find(s => s.label === values.server_label);
+
+    if (!targetServer) {
+        throw new Error(`Could not find a server with the label "${values.server_label}". Available servers: ${serverList.map(s => s.label).join(', ')}`);
+    }
+
+    const serverId = targetServer.id;
+    logger.info(`✅ Found Server ID: ${serverId} for label "${values.server_label}".`);
+
+    if (dryRun) {
+        logger.info(`\n🧪 Dry run: would ${values.action === 'restart_server' ? 'restart' : 'purge Varnish on'} server ${serverId} ("${values.server_label}").`);
+        return { serverId };
+    }
+
+    // STEP 3: Perform the Requested Action
+    if (values.action === 'restart_server') {
+        logger.info(`Sending RESTART command to Server ID: ${serverId}...`);
+        
+        const restartParams = new URLSearchParams();
+        restartParams.append('server_id', serverId);
+
+        const restartResponse = await fetch(`${apiUrl}/server/restart`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+            body: restartParams
+        });
+
+        if (!restartResponse.ok) throw new Error(`Server restart failed: ${await restartResponse.text()}`);
+        logger.info(`✅ Success: Server restart initiated. This may take a few minutes.`);
+
+    } else {
+        logger.info(`Sending PURGE VARNISH command to Server ID: ${serverId}...`);
+        
+        const purgeParams = new URLSearchParams();
+        purgeParams.append('server_id', serverId);
+        purgeParams.append('action', 'purge');
+
+        const purgeResponse = await fetch(`${apiUrl}/service/varnish`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+            body: purgeParams
+        });
+
+        if (!purgeResponse.ok) throw new Error(`Varnish purge failed: ${await purgeResponse.text()}`);
+        logger.info(`✅ Success: Cloudways Varnish cache has been purged.`);
+    }
+
+    return { serverId };
+}
+
+export const cloudwaysJob = {
+    name: 'Cloudways',
+    options,
+    required,
+
+    validate(values) {
+        if (!ACTIONS.includes(values.action)) {
+            throw new Error(`Unknown action: ${values.action}. Use 'purge_varnish' or 'restart_server'.`);
+        }
+    },
+
+    ledger: (values) => ({ supplier: `cloudways:${values.server_label}`, script: `cloudways-${values.action}` }),
+
+    run: runCloudways
+};
+
+// Library API: see lib/job.mjs for the options and the result
+export const runCloudwaysAction = (options) => executeJob(cloudwaysJob, options);
@@ -0,0 +1,143 @@
+import { createWriteStream } from 'fs';
+import { mkdir, unlink, writeFile, readFile as readLocalFile } from 'fs/promises';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { finished } from 'stream/promises';
+import * as XLSX from 'xlsx';
+import { executeJob } from '../lib/job.mjs';
+import { logger } from '../lib/logger.mjs';
+import { HTTP_OPTIONS } from '../lib/http.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    supplier_name: { type: 'string' }, // New parameter for the file prefix
+    out_dir: { type: 'string', default: './downloads' },
+    price_url: { type: 'string' },
+    inventory_url: { type: 'string' },
+    discontinued_url: { type: 'string' },
+    http_user: { type: 'string' }, 
+    http_pass: { type: 'string', secret: true },
+    ...HTTP_OPTIONS
+};
+
+// e.g. --supplier_name "SMG Europe"
+const required = ['supplier_name'];
+
+// --- 2. DOWNLOAD & CONVERT HELPER ---
+// Resolves to true on success; failures are logged and reported as false so the other files still download
+async function downloadAndConvertFile({ values, dryRun, http }, url, finalFilename) {
+    if (!url) return true;
+
+    const isExcel = url.toLowerCase().includes('.xlsx') || url.toLowerCase().includes('.xls');
+    
+    const finalPath = join(values.out_dir, finalFilename); 
+    const tempPath = join(values.out_dir, `temp_${finalFilename}.xlsx`);
+    const downloadPath = isExcel ? tempPath : finalPath;
+
+    logger.info(`Starting download: ${url}`);
+
+    const options = { method: 'GET' };
+    if (values.http_user && values.http_pass) {
+        const authHeader = 'Basic ' + Buffer.from(`${values.http_user}:${values.http_pass}`).toString('base64');
+        options.headers = { 'Authorization': authHeader };
+    }
+
+    try {
+        const response = await http.request(url, options, { label: finalFilename });
+
+        if (!response.ok) {
+            throw new Error(`Failed to download from ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        if (dryRun) {
+            await response.body?.cancel();
+            const size = response.headers.get('content-length');
+            logger.info(`🧪 Dry run: ${url} answered ${response.status} (${response.headers.get('content-type') || 'unknown type'}${size ? `, ${size} bytes` : ''}); would save ${finalPath}${isExcel ? ' after converting to CSV' : ''}.`);
+            return true;
+        }
+
+        const fileStream = createWriteStream(downloadPath);
+        await finished(Readable.fromWeb(response.body).pipe(fileStream));
+        
+        if (isExcel) {
+            logger.info(`Converting ${downloadPath} to CSV format...`);
+            
+            const fileBuffer = await readLocalFile(downloadPath);
+            const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
+            
+            const firstSheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[firstSheetName];
+            
+            const csvData = XLSX.utils.sheet_to_csv(worksheet);
+            
+            await writeFile(finalPath, csvData);
+            await unlink(downloadPath);
+            
+            logger.info(`✅ Success: Downloaded Excel, converted, and saved to ${finalPath}`);
+        } else {
+            logger.info(`✅ Success: Downloaded directly to ${finalPath}`);
+        }
+        return true;
+
+    } catch (error) {
+        logger.error(`❌ Error processing ${finalFilename}:`, error.message);
+        return false;
+    }
+}
+
+// --- 3. JOB ---
+// --dry-run checks that every URL answers, without saving anything
+async function runDownloads(ctx) {
+    const { values, dryRun } = ctx;
+    // Format the prefix: Replace spaces with underscores
+    const filePrefix = values.supplier_name.replace(/ /g, '_');
+
+    if (!dryRun) {
+        await mkdir(values.out_dir, { recursive: true });
+        logger.info(`Ensured output directory exists: ${values.out_dir}\n`);
+    }
+
+    const downloadTasks = [];
+
+    // Safely check which URLs were provided and apply the dynamic prefix
+    if (values.price_url) {
+        downloadTasks.push(downloadAndConvertFile(ctx, values.price_url, `${filePrefix}_prices.csv`));
+    }
+    if (values.inventory_url) {
+        downloadTasks.push(downloadAndConvertFile(ctx, values.inventory_url, `${filePrefix}_inventory.csv`));
+    }
+    if (values.discontinued_url) {
+        downloadTasks.push(downloadAndConvertFile(ctx, values.discontinued_url, `${filePrefix}_discontinued.csv`));
+    }
+
+    if (downloadTasks.length === 0) {
+        logger.info('No URLs provided. Please pass at least one URL.');
+        return { outcome: 'skipped' };
+    }
+
+    const results = await Promise.all(downloadTasks);
+    const failedCount = results.filter(ok => !ok).length;
+    const downloadedCount = results.length - failedCount;
+
+    if (failedCount > 0) {
+        logger.error(`\n❌ ${failedCount} of ${results.length} downloads failed.`);
+        return {
+            outcome: 'failed', pagesFetched: downloadedCount,
+            errorMessage: `${failedCount} of ${results.length} downloads failed`
+        };
+    }
+
+    logger.info('\nAll download and conversion tasks completed.');
+    return { pagesFetched: downloadedCount };
+}
+
+export const fileDownloadJob = {
+    name: 'File download',
+    options,
+    required,
+    ledger: (values) => ({ supplier: values.supplier_name, script: 'file-inventory' }),
+    run: runDownloads
+};
+
+// Library API: see lib/job.mjs for the options and the result
+export const downloadSupplierFiles = (options) => executeJob(fileDownloadJob, options);
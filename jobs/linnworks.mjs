@@ -0,0 +1,187 @@
+import { executeJob } from '../lib/job.mjs';
+import { HTTP_OPTIONS } from '../lib/http.mjs';
+import { logger, registerSecret } from '../lib/logger.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    app_id: { type: 'string' },
+    app_secret: { type: 'string', secret: true },
+    token: { type: 'string', secret: true },
+    type: { type: 'string' },
+    job_name: { type: 'string' },
+    auth_url: { type: 'string', default: 'https://api.linnworks.net' }, // Pointed at a local stand-in by the tests
+    poll_interval: { type: 'string', default: '10' }, // Seconds between job status checks
+    ...HTTP_OPTIONS
+};
+
+const required = ['app_id', 'app_secret', 'token', 'type', 'job_name'];
+
+// --- 2. API HELPERS ---
+// `http` is a client from createHttpClient() (lib/http.mjs). POSTs are not retried on 5xx or
+// timeouts unless `idempotent` says repeating them is harmless (the login is; RunNow is not).
+export async function fetchLinnworks(http, url, method = 'POST', params = {}, sessionToken = null, { idempotent = null } = {}) {
+    const headers = {};
+    if (sessionToken) headers['Authorization'] = sessionToken;
+
+    let finalUrl = url;
+    let body = undefined;
+
+    // Format parameters correctly for Linnworks
+    const searchParams = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) {
+            searchParams.append(key, value.toString());
+        }
+    }
+
+    // Route GET params to the URL, and POST params to the Body
+    if (method.toUpperCase() === 'GET') {
+        const query = searchParams.toString();
+        if (query) finalUrl = `${url}?${query}`;
+    } else {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        body = searchParams.toString();
+    }
+
+    const response = await http.request(finalUrl, { method, headers, body }, { label: `Linnworks ${new URL(url).pathname}`, idempotent });
+    
+    // Linnworks sometimes returns empty bodies on successful POSTs
+    const text = await response.text();
+    let data;
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch(e) {
+        data = text;
+    }
+
+    if (!response.ok) {
+        throw new Error(`Linnworks API Error: ${response.status} - ${text}`);
+    }
+    return data;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- 3. JOB ---
+// Resolves the job by name, enables it if needed, triggers it and waits for it to finish.
+// A dry run stops after resolving the job (--dry-run: report what would run, without triggering it).
+async function runLinnworks({ values, dryRun, http }) {
+    logger.info(`Authenticating with Linnworks...`);
+    
+    // Step 1: Authenticate
+    const authData = await fetchLinnworks(http,
+        `${values.auth_url.replace(/\/$/, '')}/api/Auth/AuthorizeByApplication`,
+        'POST',
+        {
+            applicationId: values.app_id,
+            applicationSecret: values.app_secret,
+            token: values.token
+        },
+        null,
+        { idempotent: true }
+    );
+
+    const sessionToken = authData.Token;
+    // Sent as the Authorization header of every later request, so it is kept out of the logs like the app secret
+    registerSecret(sessionToken);
+    const serverUrl = authData.Server; 
+    logger.info(`Authenticated successfully. Routed to server: ${serverUrl}`);
+
+    const jobType = values.type.toLowerCase();
+    const isImport = jobType === 'import';
+    
+    // Corrected Linnworks Endpoints
+    const getListEndpoint = `${serverUrl}/api/ImportExport/Get${isImport ? 'ImportList' : 'ExportList'}`;
+    const enableEndpoint = `${serverUrl}/api/ImportExport/Enable${isImport ? 'Import' : 'Export'}`;
+    const runEndpoint = `${serverUrl}/api/ImportExport/RunNow${isImport ? 'Import' : 'Export'}`;
+    const getJobEndpoint = `${serverUrl}/api/ImportExport/Get${isImport ? 'Import' : 'Export'}`;
+
+    // Step 2: Get the list of jobs
+    logger.info(`Fetching ${jobType} jobs to find "${values.job_name}"...`);
+    // The List endpoints are strictly GET requests
+    const jobsListResponse = await fetchLinnworks(http, getListEndpoint, 'GET', {}, sessionToken);
+    
+    // Linnworks nests the list under "register"
+    const list = Array.isArray(jobsListResponse) 
+        ? jobsListResponse 
+        : (jobsListResponse.register || jobsListResponse.Register || []);
+        
+    // Job names are stored in "FriendlyName" or "Name" depending on the module
+    const targetJob = list.find(j => j.Name === values.job_name || j.FriendlyName === values.job_name);
+    
+    if (!targetJob) {
+        throw new Error(`Could not find an ${jobType} job named "${values.job_name}"`);
+    }
+
+    const jobId = targetJob.Id;
+    logger.info(`Found job ID: ${jobId}. Current Status: ${targetJob.Executing ? 'Running' : (targetJob.IsQueued ? 'Queued' : 'Idle')}`);
+
+    if (dryRun) {
+        logger.info(`\n🧪 Dry run: nothing was changed.`);
+        if (!targetJob.Enabled) logger.info(` - Would enable the disabled ${jobType} job ${jobId}.`);
+        logger.info(` - Would trigger ${jobType} job "${values.job_name}" (${jobId}) via ${runEndpoint}.`);
+        return { jobId };
+    }
+
+    // Step 3: Enable the job if it is currently disabled
+    if (!targetJob.Enabled) {
+        logger.info(`Job is disabled. Enabling...`);
+        await fetchLinnworks(http, enableEndpoint, 'POST', { 
+            [isImport ? 'importId' : 'exportId']: jobId, 
+            id: jobId, 
+            enable: true 
+        }, sessionToken);
+        logger.info(`Job enabled.`);
+    }
+
+    // Step 4: Trigger the job
+    logger.info(`Triggering ${jobType} job to run now...`);
+    await fetchLinnworks(http, runEndpoint, 'POST', { 
+        [isImport ? 'importId' : 'exportId']: jobId,
+        id: jobId
+    }, sessionToken);
+
+    // Step 5: Poll the status
+    logger.info(`Job triggered. Monitoring status...`);
+    let isFinished = false;
+
+    while (!isFinished) {
+        await sleep(Number(values.poll_interval) * 1000);
+
+        // The single job endpoint is a GET request and takes the `id` param in the URL
+        const jobStatusData = await fetchLinnworks(http, getJobEndpoint, 'GET', { id: jobId }, sessionToken);
+        const statusData = jobStatusData.Register || jobStatusData.register || jobStatusData;
+        
+        const isQueued = statusData.IsQueued;
+        const isExecuting = statusData.Executing;
+        
+        logger.info(`Current state: ${isExecuting ? 'Executing' : (isQueued ? 'Queued' : 'Finished')}...`);
+
+        if (!isQueued && !isExecuting) {
+            isFinished = true;
+            logger.info(`\n✅ ${jobType} job "${values.job_name}" finished successfully!`);
+        }
+    }
+
+    return { jobId };
+}
+
+export const linnworksJob = {
+    name: 'Linnworks job',
+    options,
+    required,
+
+    validate(values) {
+        const jobType = values.type.toLowerCase();
+        if (jobType !== 'import' && jobType !== 'export') {
+            throw new Error('The --type parameter must be either "import" or "export".');
+        }
+    },
+
+    ledger: (values) => ({ supplier: `linnworks:${values.job_name}`, script: `linnworks-${values.type.toLowerCase()}` }),
+
+    run: runLinnworks
+};
+
+// Library API: see lib/job.mjs for the options and the result
+export const runLinnworksJob = (options) => executeJob(linnworksJob, options);
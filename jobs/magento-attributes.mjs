@@ -0,0 +1,40 @@
+import { executeJob } from '../lib/job.mjs';
+import { logger } from '../lib/logger.mjs';
+import { getAuthToken, getProductAttributes } from '../connectors/magento.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    url: { type: 'string' },
+    m_user: { type: 'string' },
+    m_pass: { type: 'string', secret: true },
+    store: { type: 'string' } // Store view code, sent as the Store header
+};
+
+const required = ['url', 'm_user', 'm_pass'];
+
+// --- 2. JOB ---
+// Lists the product fields that can be passed to magento-inventory.mjs --attributes. Read-only,
+// so a dry run does the same.
+async function listAttributes({ values, http }) {
+    const baseUrl = values.url.replace(/\/$/, '');
+    const token = await getAuthToken(http, baseUrl, { username: values.m_user, password: values.m_pass });
+    const attributes = await getProductAttributes(http, baseUrl, token, { store: values.store || null });
+
+    logger.info(`\n${attributes.length} product attributes available${values.store ? ` in store ${values.store}` : ''}:`);
+    for (const { name, type, description } of attributes) {
+        logger.info(`   ${name} (${type})${description ? ` - ${description}` : ''}`);
+    }
+    logger.info('\nPass the ones you need as --attributes name1,name2 together with --db_attributes_table.');
+    return { attributes };
+}
+
+export const magentoAttributesJob = {
+    name: 'Magento attribute discovery',
+    options,
+    required,
+    ledger: () => ({ supplier: 'magento', script: 'magento-attributes' }),
+    run: listAttributes
+};
+
+// Library API: see lib/job.mjs for the options and the result
+export const listMagentoAttributes = (options) => executeJob(magentoAttributesJob, options);
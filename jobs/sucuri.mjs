@@ -0,0 +1,64 @@
+import { executeJob } from '../lib/job.mjs';
+import { logger } from '../lib/logger.mjs';
+
+// --- 1. PARAMETERS ---
+const options = {
+    api_key: { type: 'string', secret: true },
+    api_secret: { type: 'string', secret: true },
+    api_url: { type: 'string', default: 'https://waf.sucuri.net/api?v2' }, // Pointed at a local stand-in by the tests
+};
+
+const required = ['api_key', 'api_secret'];
+
+// --- 2. JOB ---
+// --dry-run checks the credentials and reports the purge, without clearing anything
+async function runSucuri({ values, dryRun }) {
+    logger.info(dryRun ? 'Checking Sucuri credentials (dry run)...' : 'Initiating Sucuri WAF/CDN cache purge...');
+    
+    const url = values.api_url;
+    
+    // Sucuri expects standard URL-encoded form data
+    // A dry run asks for the site settings instead, which is read-only but still validates the keys
+    const params = new URLSearchParams();
+    params.append('k', values.api_key);
+    params.append('s', values.api_secret);
+    params.append('a', dryRun ? 'show_settings' : 'clear_cache');
+
+    const response = await fetch(url, {
+        method: 'POST',
+        body: params
+    });
+
+    const resultText = await response.text();
+
+    // Sucuri usually returns a simple text/HTML confirmation or JSON depending on the exact account tier
+    if (!response.ok) {
+        throw new Error(`Sucuri API Error: ${response.status} - ${resultText}`);
+    }
+
+    if (dryRun) {
+        // Rejected keys still come back as HTTP 200, with {"status": 0, "messages": [...]}
+        let result = null;
+        try { result = JSON.parse(resultText); } catch (e) { /* non-JSON tiers */ }
+        if (result && result.status === 0) {
+            throw new Error(`Sucuri rejected the credentials: ${(result.messages || []).join(' ')}`);
+        }
+        logger.info(`\n🧪 Dry run: credentials accepted, would clear the Sucuri global cache.`);
+        return {};
+    }
+
+    logger.info(`✅ Success: Sucuri global cache has been cleared.`);
+    logger.info(`Sucuri Response: ${resultText.trim()}`);
+    return { response: resultText.trim() };
+}
+
+export const sucuriJob = {
+    name: 'Sucuri',
+    options,
+    required,
+    ledger: () => ({ supplier: 'sucuri', script: 'sucuri-clear-cache' }),
+    run: runSucuri
+};
+
+// Library API: see lib/job.mjs for the options and the result
+export const clearSucuriCache = (options) => executeJob(sucuriJob, options);
@@ -0,0 +1,41 @@
+// Bridges callback-driven fetchers (crawler handlers, worker pools) into fetchBatches():
+// producers push() record arrays and close() when done; the runner iterates the channel.
+export function createBatchChannel() {
+    const queue = [];
+    let closed = false;
+    let failure = null;
+    let wake = null;
+
+    const notify = () => {
+        if (wake) {
+            wake();
+            wake = null;
+        }
+    };
+
+    return {
+        push(records) {
+            if (records.length === 0) return;
+            queue.push(records);
+            notify();
+        },
+        close(error = null) {
+            closed = true;
+            failure = error;
+            notify();
+        },
+        async *[Symbol.asyncIterator]() {
+            while (true) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                } else if (failure) {
+                    throw failure;
+                } else if (closed) {
+                    return;
+                } else {
+                    await new Promise(resolve => { wake = resolve; });
+                }
+            }
+        }
+    };
+}
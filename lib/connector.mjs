@@ -0,0 +1,260 @@
+// Shared runner for the supplier inventory scripts.
+//
+// A connector is a plain object:
+//   name          label used in log lines
+//   type          connector id referenced by the supplier registry ("magento", "marathon", ...)
+//   endpointOption            flag the registry `endpoint` maps to (defaults to "url")
+//   options       parseArgs option definitions for the supplier's own flags;
+//                 `secret: true` flags are resolved from the environment first (see secrets.mjs)
+//   required      flags that must be present (the sink adds its own, e.g. db_* for MySQL)
+//   tables(values)            -> { products: { name, layout }, options?, images? }
+//   priceBasis    optional { currency, vat }: what the supplier's prices are when its records do
+//                 not say (Marathon: GBP ex VAT); --price_currency and --price_vat override it.
+//                 A null part is unknown and should come from the flag (B2BWave: { currency: null, vat: null });
+//                 without it the run warns and assumes GBP, or records the VAT basis as NULL
+//   setup(ctx)    optional; runs before any table is touched, return false to skip the run.
+//                 Setting ctx.resume keeps the staging tables an interrupted run left behind
+//                 instead of starting empty ones (Magento --resume); ctx.resumedRowCounts
+//                 ({ products: n, ... }) adds the rows it had staged to this run's counts, and
+//                 ctx.discard ({ records: [uuid], rows: { failures: [id] } }) first removes the rows
+//                 of a write it may have left half done
+//   fetchBatches(ctx)         async generator yielding arrays of createProductRecord() objects, or
+//                             { records, rows } where `rows` holds the rows of `standalone` tables
+//                             ({ failures: [...] }), which are not expanded from the records
+//   complete(ctx) optional; runs once the snapshot is published
+//
+// The runner handles option parsing, the output sink (--sink, see sinks/), staging tables,
+// GBP price normalization (see pricing.mjs), price/stock history, the sync_runs ledger,
+// the anomaly guardrails, the final swap and --dry-run, so a new supplier only needs fetch
+// and mapping code.
+//
+// Two entry points run the same sync:
+//   runConnector(connector)           command line: parses process.argv and sets the exit code
+//   syncConnector(connector, options) library API: takes an options object keyed like the flags
+//                                     ({ url, db_table, sink: 'sqlite', 'dry-run': true, ... })
+// Both resolve with the run's result:
+//   { supplier, runId, logFile, outcome, exitStatus, dryRun, pagesFetched, rows: { products, ... },
+//     rowsWritten, changes, warnings: [messages], errorMessage }
+// Every log entry of the run carries its runId and supplier (see logger.mjs).
+// Invalid options throw before the run starts; a failure during the run is reported in the result.
+//
+// The context passed to setup() and fetchBatches() carries `values`, `db` (the MySQL
+// connection, null with any other sink), `runId`,
+// `supplier`, `stats` ({ pages, warnings }), `warn()` and `http` (see http.mjs; its
+// retries are logged through warn()). fetchBatches() also gets `rowCounts`, the rows written
+// so far per table, for its checkpoints.
+
+import crypto from 'crypto';
+import { createProductWriter } from './writer.mjs';
+import { createDryRunWriter } from './dry-run.mjs';
+import { loadRegistry, resolveSupplier, registryPathFor } from './registry.mjs';
+import { parseFlags, optionsFromObject, resolveOptions } from './options.mjs';
+import { logger, formatMessage, withLogContext, runLogFile, logLevelFrom, LOG_OPTIONS } from './logger.mjs';
+import { startRun, finishRun } from './run-ledger.mjs';
+import { EXIT_OK, EXIT_FAILURE, EXIT_ANOMALY } from './exit-codes.mjs';
+import { createHttpClient, httpOptionsFrom, HTTP_OPTIONS } from './http.mjs';
+import { openSink, SINK_TYPES, SINK_REQUIRED } from './sinks/index.mjs';
+import { guardrailLimitsFrom, GUARDRAIL_OPTIONS } from './guardrails.mjs';
+import { pricingFrom, createPriceNormalizer, PRICING_OPTIONS } from './pricing.mjs';
+
+export { createBatchChannel } from './batch-channel.mjs';
+
+const SHARED_OPTIONS = {
+    sink: { type: 'string', default: 'mysql' }, // mysql, postgres, sqlite, csv or jsonl
+    out: { type: 'string' },      // SQLite file or CSV/JSONL directory
+    db_host: { type: 'string' },
+    db_port: { type: 'string' },
+    db_user: { type: 'string' },
+    db_pass: { type: 'string', secret: true },
+    db_name: { type: 'string' },
+    supplier: { type: 'string' }, // Registry entry to run; without a registry it is only the history label
+    config: { type: 'string' },   // Supplier registry file, defaults to ./suppliers.json when present
+    'dry-run': { type: 'boolean', default: false }, // Fetch, map and validate, but write nothing
+    skip_guardrails: { type: 'boolean', default: false }, // Publish even if a guardrail trips (after checking the data)
+    ...HTTP_OPTIONS,
+    ...GUARDRAIL_OPTIONS,
+    ...PRICING_OPTIONS,
+    ...LOG_OPTIONS
+};
+
+function exitWithError(message) {
+    logger.error(`❌ ${message}`);
+    process.exit(1);
+}
+
+const definitionsFor = (connector) => ({ ...connector.options, ...SHARED_OPTIONS });
+
+// Precedence: the given values (flags or options object), then the registry entry, then the
+// option defaults. Throws on anything that should stop the run before it starts.
+async function resolveConnectorOptions(connector, given, { fromCommandLine = {} } = {}) {
+    let fromRegistry = {};
+    const registryPath = registryPathFor(given);
+    if (given.supplier && registryPath) {
+        const registry = await loadRegistry(registryPath);
+        fromRegistry = resolveSupplier(registry, given.supplier, connector);
+        logger.info(`Loaded supplier "${given.supplier}" from ${registryPath}.`);
+    }
+
+    const values = resolveOptions(definitionsFor(connector), given, { fromRegistry, fromCommandLine, scope: given.supplier });
+
+    if (!SINK_TYPES.includes(values.sink)) throw new Error(`Unknown --sink "${values.sink}". Use one of: ${SINK_TYPES.join(', ')}`);
+    // A PostgreSQL database is a production target like MySQL, but the guardrails and the history only run
+    // against MySQL: publishing to it unchecked has to be asked for
+    if (values.sink === 'postgres' && !values.skip_guardrails && !values['dry-run']) {
+        throw new Error('--sink postgres has no anomaly guardrails or price/stock history: pass --skip_guardrails to publish without them');
+    }
+    for (const arg of [...(connector.required || []), ...SINK_REQUIRED[values.sink]]) {
+        if (!values[arg]) throw new Error(`Missing required parameter: --${arg} (pass it on the command line or in the supplier registry)`);
+    }
+    values.log_level = logLevelFrom(values);
+    return { values, httpOptions: httpOptionsFrom(values), guardrailLimits: guardrailLimitsFrom(values), pricing: await pricingFrom(values, { basis: connector.priceBasis, supplier: connector.name }) };
+}
+
+// Command-line entry point. Unknown flags are rejected so typos no longer slip through silently.
+export async function runConnector(connector) {
+    let settings;
+    try {
+        const cli = parseFlags(definitionsFor(connector));
+        settings = await resolveConnectorOptions(connector, cli, { fromCommandLine: cli });
+    } catch (error) {
+        exitWithError(error.message);
+    }
+
+    const result = await executeConnector(connector, settings);
+    // Non-zero exit so cron and the pipeline orchestrator can tell the run failed
+    process.exitCode = result.exitStatus;
+    return result;
+}
+
+// Library entry point, see the header for the options and the result
+export async function syncConnector(connector, options = {}) {
+    const given = optionsFromObject(definitionsFor(connector), options);
+    return executeConnector(connector, await resolveConnectorOptions(connector, given));
+}
+
+const exitStatusFor = (outcome) => outcome === 'failed' ? EXIT_FAILURE : (outcome === 'anomalous' ? EXIT_ANOMALY : EXIT_OK);
+
+async function executeConnector(connector, { values, httpOptions, guardrailLimits, pricing }) {
+    const dryRun = values['dry-run'];
+    const warnings = [];
+
+    const ctx = {
+        values,
+        supplier: values.supplier || values.db_table,
+        // Every run is tagged with its own ID in the price/stock history and the sync_runs ledger
+        runId: crypto.randomUUID(),
+        db: null,
+        resume: false,
+        // Connectors bump `pages` per page fetched and report recoverable problems through warn()
+        stats: { pages: 0, warnings: 0 },
+        warn(...args) {
+            ctx.stats.warnings++;
+            warnings.push(formatMessage(args).trim());
+            logger.warn(...args);
+        }
+    };
+    ctx.http = createHttpClient({ ...httpOptions, log: ctx.warn });
+
+    let sink = null;
+    let writer = null;
+    let outcome = 'failed';
+    let errorMessage = null;
+    let changes = null;
+    let ledgerStarted = false;
+
+    // A dry run only counts the rows it would have written (result.rows)
+    const rowsWritten = () => writer && !dryRun ? Object.values(writer.counts).reduce((sum, n) => sum + n, 0) : 0;
+
+    // Early returns end the run with the outcome set so far; the ledger and the sink are closed below
+    const sync = async () => {
+        // A dry run only opens the MySQL connection, for setup queries (BMS brands); it writes nothing
+        if (!dryRun || values.sink === 'mysql') {
+            sink = await openSink(values);
+            ctx.db = sink.db;
+        }
+        // The ledger and the history live next to the MySQL tables
+        if (ctx.db && !dryRun) {
+            await startRun(ctx.db, { runId: ctx.runId, supplier: ctx.supplier, script: connector.type });
+            ledgerStarted = true;
+        }
+
+        if (connector.setup && (await connector.setup(ctx)) === false) {
+            outcome = 'skipped';
+            return;
+        }
+
+        const tables = connector.tables(values);
+        writer = dryRun ? createDryRunWriter(tables) : createProductWriter(sink, tables);
+        await writer.prepare({ resume: ctx.resume, counts: ctx.resumedRowCounts });
+        if (ctx.resume && ctx.discard) await writer.discard(ctx.discard);
+        ctx.rowCounts = writer.counts;
+        const normalizePrices = createPriceNormalizer(pricing, { defaults: connector.priceBasis, warn: ctx.warn });
+
+        for await (const batch of connector.fetchBatches(ctx)) {
+            const { records, rows = {} } = Array.isArray(batch) ? { records: batch } : batch;
+            normalizePrices(records);
+            if (records.length > 0 || Object.values(rows).some(list => list.length > 0)) await writer.write(records, rows);
+        }
+
+        if (dryRun) {
+            await writer.publish();
+            outcome = 'succeeded';
+            logger.info(`\n✅ ${connector.name} dry run complete: ${ctx.stats.pages} pages fetched, ${ctx.stats.warnings} warnings.`);
+            return;
+        }
+
+        // A suspicious snapshot stays in staging: the live tables (and the history) are left untouched
+        if (values.skip_guardrails) {
+            ctx.warn('⚠️  Guardrails skipped (--skip_guardrails).');
+        } else {
+            const tripped = await writer.checkGuardrails(guardrailLimits);
+            if (tripped === null) {
+                logger.info(`Guardrails skipped: the ${values.sink} sink has no live table to compare with.`);
+            } else if (tripped.length > 0) {
+                outcome = 'anomalous';
+                errorMessage = `Guardrails tripped, snapshot not published: ${tripped.join('; ')}`;
+                logger.error(`\n🛑 ${connector.name} snapshot not published, guardrails tripped:\n   - ${tripped.join('\n   - ')}`);
+                logger.error('   The live tables still hold the previous snapshot; the new one is left in the _staging tables.');
+                logger.error('   If the change is genuine, re-run with --skip_guardrails or raise the limits.');
+                return;
+            }
+        }
+
+        changes = await writer.recordHistory(ctx);
+        if (changes !== null) logger.info(`Recorded ${changes} price/stock changes for ${ctx.supplier} (run ${ctx.runId}).`);
+
+        logger.info(`\nAll pages fetched. Swapping staging tables live...`);
+        await writer.publish();
+        outcome = 'succeeded';
+        if (connector.complete) await connector.complete(ctx);
+
+        logger.info(`\n✅ ${connector.name} sync complete!`);
+        for (const [kind, { name }] of Object.entries(tables)) {
+            logger.info(`Saved ${writer.counts[kind]} ${kind} rows to ${name}.`);
+        }
+    };
+
+    const logFile = values.log_dir ? runLogFile(values.log_dir, ctx) : null;
+    await withLogContext({ runId: ctx.runId, supplier: ctx.supplier, script: connector.type, level: values.log_level, file: logFile }, async () => {
+        try {
+            await sync();
+        } catch (error) {
+            errorMessage = error.message;
+            logger.error(`\n❌ ${connector.name} sync failed:`, error);
+        } finally {
+            if (ledgerStarted) {
+                await finishRun(ctx.db, ctx.runId, {
+                    pagesFetched: ctx.stats.pages, rowsWritten: rowsWritten(), warnings: ctx.stats.warnings,
+                    outcome, exitStatus: exitStatusFor(outcome), errorMessage
+                }).catch(error => logger.error('Could not record the run in the sync_runs ledger:', error.message));
+            }
+            if (sink) await sink.close();
+            if (logFile) logger.info(`Run log written to ${logFile}`);
+        }
+    });
+
+    return {
+        supplier: ctx.supplier, runId: ctx.runId, logFile, outcome, exitStatus: exitStatusFor(outcome), dryRun,
+        pagesFetched: ctx.stats.pages, rows: writer ? { ...writer.counts } : {}, rowsWritten: rowsWritten(), changes, warnings, errorMessage
+    };
+}
@@ -0,0 +1,105 @@
+// Dry-run stand-in for the product writer (same interface as createProductWriter).
+//
+// Records go through the same layouts as a real run, so mapping bugs show up, but nothing
+// is created, dropped or inserted. At the end it prints row counts, a few sample rows per
+// table and every validation problem found, grouped with example SKUs.
+
+import crypto from 'crypto';
+import { insertableColumns } from './products.mjs';
+import { logger } from './logger.mjs';
+
+const SAMPLE_ROWS = 3;
+const EXAMPLES_PER_PROBLEM = 5;
+const SAMPLE_VALUE_LENGTH = 80;
+
+const shorten = (value) => typeof value === 'string' && value.length > SAMPLE_VALUE_LENGTH
+    ? `${value.slice(0, SAMPLE_VALUE_LENGTH)}…` : value;
+
+// Checks a value against its MySQL column type: NOT NULL, (VAR)CHAR length and numeric types
+function columnProblem(column, value) {
+    const type = column.type.toUpperCase();
+    if (value === null || value === undefined) {
+        return type.includes('NOT NULL') ? `${column.name} is empty but the column is NOT NULL` : null;
+    }
+    const length = type.match(/\b(?:VAR)?CHAR\((\d+)\)/);
+    if (length && String(value).length > Number(length[1])) {
+        return `${column.name} is longer than ${length[1]} characters`;
+    }
+    if (/\b(INT|BIGINT|DECIMAL|DOUBLE|FLOAT)\b/.test(type) && !Number.isFinite(Number(value))) {
+        return `${column.name} is not a number`;
+    }
+    return null;
+}
+
+export function createDryRunWriter(tables) {
+    const counts = Object.fromEntries(Object.keys(tables).map(kind => [kind, 0]));
+    const samples = Object.fromEntries(Object.keys(tables).map(kind => [kind, []]));
+    const problems = new Map();
+    const seenSkus = new Set();
+
+    function report(message, sku) {
+        if (!problems.has(message)) problems.set(message, { count: 0, examples: [] });
+        const problem = problems.get(message);
+        problem.count++;
+        if (problem.examples.length < EXAMPLES_PER_PROBLEM && sku) problem.examples.push(sku);
+    }
+
+    return {
+        counts,
+
+        async prepare() {
+            logger.info('🧪 Dry run: nothing will be created, dropped or inserted.');
+        },
+
+        async write(records, standaloneRows = {}) {
+            for (const record of records) {
+                if (!record.uuid) record.uuid = crypto.randomUUID();
+
+                if (!record.sku) report('record has no SKU', record.name);
+                else if (seenSkus.has(record.sku)) report('SKU appears more than once', record.sku);
+                else seenSkus.add(record.sku);
+
+                if (!record.name) report('record has no name', record.sku);
+                if (!(Number(record.price) > 0)) report('price is missing or zero', record.sku);
+            }
+
+            for (const [kind, { name, layout }] of Object.entries(tables)) {
+                const items = layout.standalone ? (standaloneRows[kind] || []) : (layout.expand ? records.flatMap(layout.expand) : records);
+                const columns = insertableColumns(layout);
+
+                for (const item of items) {
+                    const row = columns.map(c => c.value(item) ?? null);
+                    columns.forEach((column, i) => {
+                        const problem = columnProblem(column, row[i]);
+                        if (problem) report(`${name}: ${problem}`, item.sku ?? item.parent?.sku);
+                    });
+                    if (samples[kind].length < SAMPLE_ROWS) {
+                        samples[kind].push(Object.fromEntries(columns.map((c, i) => [c.name, shorten(row[i])])));
+                    }
+                }
+                counts[kind] += items.length;
+            }
+        },
+
+        async recordHistory() {
+            return null;
+        },
+
+        async publish() {
+            logger.info('\n🧪 Dry run report');
+            for (const [kind, { name }] of Object.entries(tables)) {
+                logger.info(`\n${name}: ${counts[kind]} rows would be written. Sample:`);
+                for (const row of samples[kind]) logger.info(`   ${JSON.stringify(row)}`);
+            }
+
+            if (problems.size === 0) {
+                logger.info('\n✅ No validation problems found.');
+                return;
+            }
+            logger.info(`\n⚠️  ${problems.size} kinds of validation problems:`);
+            for (const [message, { count, examples }] of problems) {
+                logger.info(`   ${count} × ${message}${examples.length ? ` (e.g. ${examples.join(', ')})` : ''}`);
+            }
+        }
+    };
+}
@@ -0,0 +1,7 @@
+// Process exit codes shared by the scripts and the pipeline orchestrator.
+// A sync that completed but whose snapshot looks suspicious exits with EXIT_ANOMALY,
+// so downstream steps (Linnworks import, cache purges) are skipped like on a failure.
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_ANOMALY = 3;
@@ -0,0 +1,99 @@
+// Anomaly guardrails checked before a snapshot is published.
+//
+// A supplier returning a near-empty catalog, or a login that silently falls back to guest
+// (RRP) prices, still produces a "successful" run. The staged products are compared with
+// the live table and the swap is blocked when one of these limits is exceeded:
+//
+//   --max_row_drop       % fewer rows than the live table                  (default 50)
+//   --max_price_changes  % of SKUs present in both whose price changed     (default 50)
+//   --max_median_shift   factor the median price may move by, either way   (default 1.3)
+//
+// 0 disables a check. The limits can also be set per supplier in the registry `options`.
+// Only the MySQL sink keeps a live table to compare against; --sink postgres therefore
+// requires --skip_guardrails (see connector.mjs), the local sinks simply skip the checks.
+
+import { snapshotQuery, liveSnapshotQuery, readSnapshot, DEFAULT_HISTORY_COLUMNS } from './history.mjs';
+import { stagingName } from './staging.mjs';
+import { logger } from './logger.mjs';
+
+export const GUARDRAIL_OPTIONS = {
+    max_row_drop: { type: 'string', default: '50' },
+    max_price_changes: { type: 'string', default: '50' },
+    max_median_shift: { type: 'string', default: '1.3' }
+};
+
+function toLimit(values, flag) {
+    const number = Number(values[flag] ?? GUARDRAIL_OPTIONS[flag].default);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`--${flag} must be a non-negative number, got "${values[flag]}"`);
+    return number;
+}
+
+export function guardrailLimitsFrom(values) {
+    const limits = {
+        maxRowDrop: toLimit(values, 'max_row_drop'),
+        maxPriceChanges: toLimit(values, 'max_price_changes'),
+        maxMedianShift: toLimit(values, 'max_median_shift')
+    };
+    if (limits.maxMedianShift > 0 && limits.maxMedianShift < 1) {
+        throw new Error(`--max_median_shift is a factor and must be 1 or more (or 0 to disable), got "${values.max_median_shift}"`);
+    }
+    return limits;
+}
+
+function median(sorted) {
+    if (sorted.length === 0) return null;
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function medianPrice(snapshot) {
+    return median(snapshot.map(row => Number(row.price)).filter(price => price > 0).sort((a, b) => a - b));
+}
+
+const percent = (part, whole) => whole > 0 ? (part / whole) * 100 : 0;
+const samePrice = (a, b) => a === null || b === null ? a === b : Number(a) === Number(b);
+
+// Measures the staged snapshot against the live one. `liveRows`/`stagedRows` are the table row
+// counts, `live`/`staged` the per-SKU snapshot rows (see snapshotQuery in history.mjs).
+// Returns the measurements and the list of tripped checks (empty when the snapshot may be published).
+export function evaluateGuardrails({ liveRows, stagedRows, live, staged }, limits) {
+    const livePrices = new Map(live.map(row => [row.sku, row.price]));
+    const common = staged.filter(row => livePrices.has(row.sku));
+    const changed = common.filter(row => !samePrice(row.price, livePrices.get(row.sku))).length;
+    const liveMedian = medianPrice(live);
+    const stagedMedian = medianPrice(staged);
+
+    const rowDrop = percent(liveRows - stagedRows, liveRows);
+    const priceChanges = percent(changed, common.length);
+    const medianShift = liveMedian && stagedMedian ? Math.max(stagedMedian / liveMedian, liveMedian / stagedMedian) : 1;
+
+    const problems = [];
+    if (limits.maxRowDrop > 0 && rowDrop > limits.maxRowDrop) {
+        problems.push(`row count dropped ${rowDrop.toFixed(1)}% (${liveRows} → ${stagedRows}), limit ${limits.maxRowDrop}%`);
+    }
+    if (limits.maxPriceChanges > 0 && priceChanges > limits.maxPriceChanges) {
+        problems.push(`price changed for ${priceChanges.toFixed(1)}% of SKUs (${changed} of ${common.length}), limit ${limits.maxPriceChanges}%`);
+    }
+    if (limits.maxMedianShift > 0 && medianShift > limits.maxMedianShift) {
+        problems.push(`median price moved by a factor of ${medianShift.toFixed(2)} (${liveMedian} → ${stagedMedian}), limit ${limits.maxMedianShift}`);
+    }
+    return { common: common.length, priceChanges, liveMedian, stagedMedian, problems };
+}
+
+// Returns the list of tripped checks (empty when the snapshot may be published)
+export async function checkGuardrails(db, { table, columns = DEFAULT_HISTORY_COLUMNS, limits }) {
+    // First run, or live rows of another store view: nothing to compare against
+    const liveQuery = await liveSnapshotQuery(db, table, columns);
+    if (liveQuery === null) return [];
+
+    const [[{ liveRows }]] = await db.query(`SELECT COUNT(*) AS liveRows FROM \`${table}\``);
+    if (liveRows === 0) return [];
+    const [[{ stagedRows }]] = await db.query(`SELECT COUNT(*) AS stagedRows FROM \`${stagingName(table)}\``);
+
+    const live = await readSnapshot(db, liveQuery);
+    const staged = await readSnapshot(db, snapshotQuery(stagingName(table), columns));
+    const { common, priceChanges, liveMedian, stagedMedian, problems } = evaluateGuardrails({ liveRows, stagedRows, live, staged }, limits);
+
+    logger.info(`🛡️  Guardrails: rows ${liveRows} → ${stagedRows}, price changed for ${priceChanges.toFixed(1)}% of ${common} matching SKUs, median price ${liveMedian ?? '—'} → ${stagedMedian ?? '—'}`);
+    return problems;
+}
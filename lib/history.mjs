@@ -0,0 +1,195 @@
+// Price and stock history shared by the inventory scripts.
+//
+// Each sync run gets a run ID. Before the staging table is swapped live, the new
+// snapshot is compared with the live one and every per-SKU price, quantity and
+// status change is appended to `supplier_history_changes` with its old and new value.
+// Removed SKUs are recorded as a status change to 'REMOVED'.
+
+import { stagingName } from './staging.mjs';
+import { logger } from './logger.mjs';
+
+export const HISTORY_RUNS_TABLE = 'supplier_history_runs';
+export const HISTORY_CHANGES_TABLE = 'supplier_history_changes';
+
+// Column names used by the 16-column API_Vis_Product_List layout (and the BMS table).
+// A layout with a row per store view adds `storeView: { column, value }`: each view has its own
+// price and currency, so only the rows of that one view are compared.
+export const DEFAULT_HISTORY_COLUMNS = {
+    sku: 'Sku',
+    price: 'Price',
+    qty: 'Only_x_left_in_stock',
+    status: 'Status'
+};
+
+export async function ensureHistoryTables(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS \`${HISTORY_RUNS_TABLE}\` (
+            \`run_id\`       CHAR(36) PRIMARY KEY,
+            \`supplier\`     VARCHAR(255) NOT NULL,
+            \`source_table\` VARCHAR(255) NOT NULL,
+            \`recorded_at\`  DATETIME NOT NULL,
+            \`row_count\`    INT,
+            \`change_count\` INT
+        )
+    `);
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS \`${HISTORY_CHANGES_TABLE}\` (
+            \`id\`         BIGINT AUTO_INCREMENT PRIMARY KEY,
+            \`run_id\`     CHAR(36) NOT NULL,
+            \`supplier\`   VARCHAR(255) NOT NULL,
+            \`sku\`        VARCHAR(255) NOT NULL,
+            \`field\`      VARCHAR(20) NOT NULL,
+            \`old_value\`  VARCHAR(255),
+            \`new_value\`  VARCHAR(255),
+            \`changed_at\` DATETIME NOT NULL,
+            KEY \`idx_sku\` (\`sku\`),
+            KEY \`idx_supplier_sku\` (\`supplier\`, \`sku\`),
+            KEY \`idx_run\` (\`run_id\`)
+        )
+    `);
+}
+
+export async function tableExists(db, table) {
+    const [rows] = await db.query(
+        `SELECT 1 FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?`,
+        [table]
+    );
+    return rows.length > 0;
+}
+
+export async function columnExists(db, table, column) {
+    const [rows] = await db.query(
+        `SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+// Why the live rows cannot be compared with the staged store view, or null when they can.
+// `liveColumns` are the column names of the live table, `liveViews` the store views its rows carry.
+export function incomparableLiveView(columns, { liveColumns, liveViews }) {
+    if (!columns.storeView) return null;
+    const { column, value } = columns.storeView;
+    // Tables created before the store view column was added hold no comparable snapshot yet
+    if (!liveColumns.includes(column)) return `the live table has no \`${column}\` column yet`;
+    // The first --store changed: comparing two different views would mark every SKU REMOVED
+    if (liveViews.length > 0 && !liveViews.includes(value)) {
+        return `the live rows are for store view ${liveViews.map(v => v ?? '(none)').join(', ')}, not ${value ?? '(none)'}`;
+    }
+    return null;
+}
+
+// The snapshot query for the live `table`, or null when there is nothing to compare against:
+// on the very first run, and when the live rows belong to another store view layout (see above),
+// in which case the run is treated like a first run.
+export async function liveSnapshotQuery(db, table, columns) {
+    if (!(await tableExists(db, table))) return null;
+    if (columns.storeView) {
+        const { column } = columns.storeView;
+        const liveColumns = await columnExists(db, table, column) ? [column] : [];
+        let liveViews = [];
+        if (liveColumns.length > 0) {
+            const [rows] = await db.query(`SELECT DISTINCT \`${column}\` AS view FROM \`${table}\``);
+            liveViews = rows.map(r => r.view);
+        }
+        const reason = incomparableLiveView(columns, { liveColumns, liveViews });
+        if (reason) {
+            logger.warn(`⚠️  Not comparing with \`${table}\`: ${reason}. This run is treated as the first for the store view.`);
+            return null;
+        }
+    }
+    return snapshotQuery(table, columns);
+}
+
+// One row per SKU. A SKU can appear more than once (e.g. a variant shared by two
+// configurables), so the values are collapsed with MIN/MAX to keep the diff stable.
+export function snapshotQuery(table, columns) {
+    const status = columns.status ? `MIN(\`${columns.status}\`)` : 'NULL';
+    let where = `\`${columns.sku}\` IS NOT NULL`;
+    if (columns.storeView) {
+        const { column, value } = columns.storeView;
+        // Magento store codes are letters, digits and underscores, so the code can be inlined
+        if (value !== null && !/^\w+$/.test(value)) throw new Error(`Invalid store view code "${value}"`);
+        where += ` AND \`${column}\` <=> ${value === null ? 'NULL' : `'${value}'`}`;
+    }
+    return `
+        SELECT \`${columns.sku}\` AS sku, MIN(\`${columns.price}\`) AS price,
+               MAX(\`${columns.qty}\`) AS qty, ${status} AS status
+        FROM \`${table}\` WHERE ${where} GROUP BY \`${columns.sku}\`
+    `;
+}
+
+// The snapshot rows of `query`, one `{ sku, price, qty, status }` per SKU
+export async function readSnapshot(db, query) {
+    if (query === null) return [];
+    const [rows] = await db.query(query);
+    return rows;
+}
+
+// DECIMAL columns come back as strings, so values are compared as the text they are stored as
+const sameValue = (a, b) => (a ?? null) === null || (b ?? null) === null ? (a ?? null) === (b ?? null) : String(a) === String(b);
+
+// Every change between two snapshots, as `{ sku, field, oldValue, newValue }`. SKUs that are new
+// have a null old value; SKUs missing from `staged` are a status change to 'REMOVED'.
+export function diffSnapshots(live, staged, { fields = ['price', 'qty', 'status'] } = {}) {
+    const liveBySku = new Map(live.map(row => [row.sku, row]));
+    const changes = [];
+    for (const row of staged) {
+        const before = liveBySku.get(row.sku);
+        for (const field of fields) {
+            const oldValue = before ? before[field] : null;
+            if (!sameValue(oldValue, row[field])) changes.push({ sku: row.sku, field, oldValue, newValue: row[field] });
+        }
+    }
+
+    const stagedSkus = new Set(staged.map(row => row.sku));
+    for (const row of live) {
+        if (!stagedSkus.has(row.sku)) changes.push({ sku: row.sku, field: 'status', oldValue: row.status, newValue: 'REMOVED' });
+    }
+    return changes;
+}
+
+const INSERT_CHUNK = 1000;
+
+// Compares `<table>_staging` against the live `table` and stores every change under `runId`.
+// Must be called after the staging table is fully loaded and before publishStagingTables().
+// Returns the number of change rows recorded.
+export async function recordChanges(db, { runId, supplier, table, columns = DEFAULT_HISTORY_COLUMNS }) {
+    await ensureHistoryTables(db);
+
+    const staged = await readSnapshot(db, snapshotQuery(stagingName(table), columns));
+    // With nothing to compare against, every SKU is recorded as new
+    const live = await readSnapshot(db, await liveSnapshotQuery(db, table, columns));
+    const changes = diffSnapshots(live, staged, { fields: columns.status ? ['price', 'qty', 'status'] : ['price', 'qty'] });
+
+    const changedAt = new Date();
+    for (let i = 0; i < changes.length; i += INSERT_CHUNK) {
+        const rows = changes.slice(i, i + INSERT_CHUNK).map(change => [
+            runId, supplier, change.sku, change.field, change.oldValue, change.newValue, changedAt
+        ]);
+        await db.query(
+            `INSERT INTO \`${HISTORY_CHANGES_TABLE}\` (run_id, supplier, sku, field, old_value, new_value, changed_at) VALUES ?`,
+            [rows]
+        );
+    }
+
+    const [[{ rowCount }]] = await db.query(`SELECT COUNT(*) AS rowCount FROM \`${stagingName(table)}\``);
+    await db.query(
+        `INSERT INTO \`${HISTORY_RUNS_TABLE}\` (run_id, supplier, source_table, recorded_at, row_count, change_count) VALUES (?, ?, ?, NOW(), ?, ?)`,
+        [runId, supplier, table, rowCount, changes.length]
+    );
+
+    return changes.length;
+}
+
+// Every recorded change for one SKU across all suppliers, oldest first
+export async function getSkuTimeline(db, sku) {
+    await ensureHistoryTables(db);
+    const [rows] = await db.query(`
+        SELECT changed_at, supplier, field, old_value, new_value, run_id
+        FROM \`${HISTORY_CHANGES_TABLE}\`
+        WHERE sku = ?
+        ORDER BY changed_at, id
+    `, [sku]);
+    return rows;
+}
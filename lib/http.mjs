@@ -0,0 +1,113 @@
+// Shared HTTP client for the supplier APIs, Linnworks and the file downloads.
+//
+// Each request gets a timeout (AbortController), and transient failures are retried with
+// exponential backoff and jitter: network errors, timeouts, 408/425/429 and 5xx gateway errors.
+// A Retry-After header (seconds or an HTTP date) takes precedence over the backoff.
+//
+// Only idempotent methods (GET, HEAD, PUT, DELETE, OPTIONS) get all of that. A POST or PATCH
+// may have been carried out before the error or timeout (a Linnworks RunNowImport answered
+// with a 502), so it is only retried on 429 and on a refused connection, which the server
+// never acted on. Callers whose POST is a read (GraphQL queries, logins) pass `idempotent: true`.
+//
+// request() resolves with the Response like fetch() does. Non-retryable statuses, and the last
+// retryable one once the retries are used up, are returned as-is so callers keep their own
+// error messages. Network errors and timeouts are thrown after the last attempt.
+
+import { logger } from './logger.mjs';
+
+// parseArgs definitions shared by every script that talks HTTP
+export const HTTP_OPTIONS = {
+    http_retries: { type: 'string', default: '3' },     // Retries after the first attempt
+    http_timeout: { type: 'string', default: '120' },   // Seconds per request, including the body
+    http_backoff: { type: 'string', default: '1000' }   // Base backoff in ms, doubled per attempt
+};
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+const MAX_BACKOFF_MS = 30000;
+// A Retry-After longer than this is not worth waiting for inside one run
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function toNumber(value, flag) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`--${flag} must be a non-negative number, got "${value}"`);
+    return number;
+}
+
+// Converts the --http_* flag values (strings) into createHttpClient() options
+export function httpOptionsFrom(values) {
+    return {
+        retries: Math.floor(toNumber(values.http_retries ?? HTTP_OPTIONS.http_retries.default, 'http_retries')),
+        timeoutMs: toNumber(values.http_timeout ?? HTTP_OPTIONS.http_timeout.default, 'http_timeout') * 1000,
+        backoffMs: toNumber(values.http_backoff ?? HTTP_OPTIONS.http_backoff.default, 'http_backoff')
+    };
+}
+
+// Returns the delay in ms, or null when the header is missing or unparseable
+export function parseRetryAfter(header, now = Date.now()) {
+    if (!header) return null;
+    if (/^\d+$/.test(header.trim())) return Number(header.trim()) * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with "equal jitter": half the delay is fixed, the other half random,
+// so parallel workers that failed together do not retry in lockstep
+export function backoffDelay(attempt, backoffMs) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+export function createHttpClient({ retries = 3, timeoutMs = 120000, backoffMs = 1000, log = logger.warn } = {}) {
+
+    // `init` may be a function returning the fetch options, so signed requests (OAuth 1.0a)
+    // get a fresh nonce and timestamp on every attempt
+    async function request(url, init = {}, { label = url, timeoutMs: requestTimeoutMs = timeoutMs, idempotent = null } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const options = typeof init === 'function' ? init() : init;
+            const safeToRepeat = idempotent ?? IDEMPOTENT_METHODS.has((options.method || 'GET').toUpperCase());
+            const controller = new AbortController();
+            // unref() so a pending timer never keeps a finished script alive
+            const timer = setTimeout(() => controller.abort(new Error(`timed out after ${requestTimeoutMs / 1000}s`)), requestTimeoutMs);
+            timer.unref();
+
+            const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+            let reason, retryAfterMs = null;
+
+            try {
+                const response = await fetch(url, { ...options, signal });
+                const retryable = safeToRepeat ? RETRYABLE_STATUSES.has(response.status) : response.status === 429;
+                if (!retryable || attempt > retries) return response;
+
+                reason = `${response.status} ${response.statusText}`;
+                retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                // Discard the body so the connection can be reused
+                await response.body?.cancel().catch(() => {});
+            } catch (error) {
+                clearTimeout(timer);
+                // Aborted by the caller: not ours to retry
+                if (options.signal?.aborted) throw error;
+
+                reason = controller.signal.aborted ? controller.signal.reason.message : (error.cause?.message || error.message);
+                if (!safeToRepeat && error.cause?.code !== 'ECONNREFUSED') {
+                    throw new Error(`${label}: request failed, not retried (${options.method} may already have been carried out): ${reason}`);
+                }
+                if (attempt > retries) {
+                    throw new Error(`${label}: request failed after ${attempt} attempt(s): ${reason}`);
+                }
+            }
+            clearTimeout(timer);
+
+            if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+                throw new Error(`${label}: server asked to retry after ${Math.round(retryAfterMs / 1000)}s, giving up`);
+            }
+            const delay = retryAfterMs ?? backoffDelay(attempt, backoffMs);
+            log(`🔁 ${label}: ${reason}, retry ${attempt}/${retries} in ${(delay / 1000).toFixed(1)}s${retryAfterMs !== null ? ' (Retry-After)' : ''}`);
+            await sleep(delay);
+        }
+    }
+
+    return { request };
+}
@@ -0,0 +1,115 @@
+// Local mirror of supplier images (Magento --mirror_dir), so listings do not depend on the
+// supplier's cached media URLs staying put.
+//
+// Each file is stored once per content hash as <dir>/<ab>/<sha256>.<ext>, so the same picture
+// behind several URLs takes the space of one. <dir>/manifest.json remembers per URL the ETag and
+// what the URL resolved to; later runs send If-None-Match and reuse the entry on 304 Not Modified.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, extname } from 'path';
+import { imageSize } from './image-size.mjs';
+
+const MANIFEST_FILE = 'manifest.json';
+
+const extensionOf = (url) => extname(new URL(url).pathname).slice(1).toLowerCase().replace(/[^a-z0-9]/g, '') || 'bin';
+
+// Write to a temporary name first, so a crash never leaves a truncated file under its final name.
+// The name is unique because two URLs with the same content may be written at the same time.
+async function writeAtomically(path, data) {
+    const temporary = `${path}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, path);
+}
+
+// `http` is a client from createHttpClient(); failed downloads are reported through `warn`
+export async function openImageMirror({ dir, http, concurrency = 4, warn }) {
+    await fs.mkdir(dir, { recursive: true });
+    const manifestPath = join(dir, MANIFEST_FILE);
+    let manifest = {};
+    try {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Unreadable image manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const stats = { downloaded: 0, unchanged: 0, failed: 0 };
+
+    // At most `concurrency` downloads at once, across every page fetched in parallel.
+    // A finished download hands its slot straight to the next one waiting.
+    let active = 0;
+    const waiting = [];
+    const limit = async (task) => {
+        if (active < concurrency) active++;
+        else await new Promise(resolve => waiting.push(resolve));
+        try {
+            return await task();
+        } finally {
+            const next = waiting.shift();
+            if (next) next();
+            else active--;
+        }
+    };
+
+    async function download(url) {
+        const known = manifest[url];
+        const reusable = known && existsSync(join(dir, known.file));
+        const headers = reusable && known.etag ? { 'If-None-Match': known.etag } : {};
+        const response = await http.request(url, { headers }, { label: `Image ${url}` });
+
+        if (response.status === 304 && reusable) {
+            stats.unchanged++;
+            return known;
+        }
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+        const body = Buffer.from(await response.arrayBuffer());
+        const hash = crypto.createHash('sha256').update(body).digest('hex');
+        const size = imageSize(body);
+        const file = join(hash.slice(0, 2), `${hash}.${size?.type || extensionOf(url)}`);
+        if (!existsSync(join(dir, file))) {
+            await fs.mkdir(join(dir, hash.slice(0, 2)), { recursive: true });
+            await writeAtomically(join(dir, file), body);
+        }
+        stats.downloaded++;
+
+        const entry = { file, hash, etag: response.headers.get('etag'), width: size?.width ?? null, height: size?.height ?? null, bytes: body.length };
+        manifest[url] = entry;
+        return entry;
+    }
+
+    // Every URL is requested once per run, however many records share it
+    const inRun = new Map();
+    const entryFor = (url) => {
+        if (!inRun.has(url)) {
+            inRun.set(url, limit(() => download(url)).catch(error => {
+                stats.failed++;
+                warn(`⚠️  Image not mirrored: ${url} (${error.message})`);
+                return null;
+            }));
+        }
+        return inRun.get(url);
+    };
+
+    return {
+        stats,
+
+        // Adds { localPath, hash, width, height, bytes } to the images of the records.
+        // An image that could not be downloaded keeps only its supplier URL.
+        async mirror(records) {
+            await Promise.all(records.flatMap(r => r.images).map(async (image) => {
+                const entry = await entryFor(image.url);
+                if (entry) {
+                    Object.assign(image, {
+                        localPath: join(dir, entry.file), hash: entry.hash, width: entry.width, height: entry.height, bytes: entry.bytes
+                    });
+                }
+            }));
+        },
+
+        async save() {
+            await writeAtomically(manifestPath, JSON.stringify(manifest, null, 2));
+        }
+    };
+}
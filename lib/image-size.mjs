@@ -0,0 +1,48 @@
+// Width and height read from the image header, for the formats supplier media comes in:
+// PNG, JPEG, GIF and WebP. Returns { type, width, height }, or null for anything else.
+
+export function imageSize(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return webpSize(buffer);
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) return jpegSize(buffer);
+    return null;
+}
+
+// Walks the segments after SOI up to the first start-of-frame marker
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC), which share the range
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { type: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function webpSize(buffer) {
+    switch (buffer.toString('ascii', 12, 16)) {
+        case 'VP8X': return { type: 'webp', width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+        case 'VP8 ': return { type: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        case 'VP8L': {
+            const bits = buffer.readUInt32LE(21);
+            return { type: 'webp', width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+        }
+        default: return null;
+    }
+}
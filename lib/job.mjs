@@ -0,0 +1,103 @@
+// Shared runner for the scripts that are not supplier syncs: Linnworks jobs, cache purges and
+// file downloads.
+//
+// A job is a plain object:
+//   name          label used in log lines
+//   options       parseArgs option definitions for the job's own flags (`secret: true` as in connector.mjs)
+//   required      flags that must be present
+//   validate(values)          optional; throws on invalid combinations of flags
+//   ledger(values)            -> { supplier, script } for its sync_runs row (only written with the --db_* flags)
+//   run(ctx)      does the work. `ctx` carries `values`, `dryRun`, `http` (see http.mjs) and `warn()`.
+//                 Resolves with an object merged into the result; it may set `outcome`,
+//                 `pagesFetched` and `errorMessage` itself (e.g. some downloads failed).
+//
+// runJob(job) is the command-line entry point and sets the exit code; executeJob(job, options)
+// runs the same job from the library API with an options object keyed like the flags. Both
+// resolve with { runId, logFile, outcome, exitStatus, dryRun, pagesFetched, warnings, errorMessage, ... }.
+// Every log entry of the run carries its runId and ledger supplier (see logger.mjs).
+
+import crypto from 'crypto';
+import { parseFlags, optionsFromObject, resolveOptions } from './options.mjs';
+import { logger, formatMessage, withLogContext, runLogFile, logLevelFrom, LOG_OPTIONS } from './logger.mjs';
+import { openRunLedger } from './run-ledger.mjs';
+import { EXIT_OK, EXIT_FAILURE } from './exit-codes.mjs';
+import { createHttpClient, httpOptionsFrom } from './http.mjs';
+
+const SHARED_OPTIONS = {
+    'dry-run': { type: 'boolean', default: false },
+    db_host: { type: 'string' }, // Optional: record the run in the sync_runs ledger
+    db_user: { type: 'string' },
+    db_pass: { type: 'string', secret: true },
+    db_name: { type: 'string' },
+    ...LOG_OPTIONS
+};
+
+const definitionsFor = (job) => ({ ...job.options, ...SHARED_OPTIONS });
+
+function resolveJobOptions(job, given, { fromCommandLine = {} } = {}) {
+    const values = resolveOptions(definitionsFor(job), given, { fromCommandLine, required: job.required });
+    if (job.validate) job.validate(values);
+    values.log_level = logLevelFrom(values);
+    return { values, httpOptions: httpOptionsFrom(values) };
+}
+
+// Command-line entry point. Unknown flags are rejected, as for the connectors, so a typo such
+// as --dryrun fails before anything is triggered or purged.
+export async function runJob(job) {
+    let settings;
+    try {
+        const cli = parseFlags(definitionsFor(job));
+        settings = resolveJobOptions(job, cli, { fromCommandLine: cli });
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        process.exit(EXIT_FAILURE);
+    }
+
+    const result = await runResolvedJob(job, settings);
+    process.exitCode = result.exitStatus;
+    return result;
+}
+
+// Library entry point. Invalid options throw; a failure of the job itself is reported in the result.
+export async function executeJob(job, options = {}) {
+    return runResolvedJob(job, resolveJobOptions(job, optionsFromObject(definitionsFor(job), options)));
+}
+
+async function runResolvedJob(job, { values, httpOptions }) {
+    const dryRun = values['dry-run'];
+    const warnings = [];
+    const ctx = {
+        values,
+        dryRun,
+        warn(...args) {
+            warnings.push(formatMessage(args).trim());
+            logger.warn(...args);
+        }
+    };
+    ctx.http = createHttpClient({ ...httpOptions, log: ctx.warn });
+
+    const runId = crypto.randomUUID();
+    const { supplier, script } = job.ledger(values);
+    const logFile = values.log_dir ? runLogFile(values.log_dir, { supplier, runId }) : null;
+
+    return withLogContext({ runId, supplier, script, level: values.log_level, file: logFile }, async () => {
+        // A dry run changes nothing, so it is not recorded either
+        const ledger = dryRun ? null : await openRunLedger(values, { supplier, script, runId });
+
+        let result;
+        try {
+            result = { outcome: 'succeeded', pagesFetched: null, errorMessage: null, ...(await job.run(ctx)) };
+        } catch (error) {
+            logger.error(`\n❌ ${job.name} failed:`, error.message);
+            result = { outcome: 'failed', pagesFetched: null, errorMessage: error.message };
+        }
+
+        const exitStatus = result.outcome === 'failed' ? EXIT_FAILURE : EXIT_OK;
+        await ledger?.finish({
+            pagesFetched: result.pagesFetched, warnings: warnings.length,
+            outcome: result.outcome, exitStatus, errorMessage: result.errorMessage
+        });
+        if (logFile) logger.info(`Run log written to ${logFile}`);
+        return { runId, logFile, dryRun, ...result, exitStatus, warnings };
+    });
+}
@@ -0,0 +1,122 @@
+// Shared logger. Every known secret value is redacted before anything is written,
+// including error messages that embed API responses (e.g. JSON.stringify(result.errors)).
+//
+// Levels: debug, info, warn, error. Entries below the run's --log_level (default $LOG_LEVEL,
+// then info) are dropped; debug and info go to stdout, warn and error to stderr.
+//
+// Output is the familiar emoji lines on a terminal and JSON lines anywhere else (cron, the
+// pipeline, log shippers), one object per entry:
+//   {"time":"...","level":"info","msg":"...","runId":"...","supplier":"marathon","script":"marathon"}
+// LOG_FORMAT=json or LOG_FORMAT=text overrides the detection.
+//
+// runId, supplier and script come from the run context (withLogContext), which follows the
+// run through every await, so concurrent library runs keep their own. A context with `file`
+// also appends every entry, debug included, to that per-run JSON-lines file (--log_dir).
+
+import fs from 'fs';
+import { join } from 'path';
+import { inspect } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const REDACTED = '***';
+const secrets = new Set();
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// parseArgs definitions shared by every script
+export const LOG_OPTIONS = {
+    log_level: { type: 'string' }, // debug, info, warn or error; defaults to $LOG_LEVEL, then info
+    log_dir: { type: 'string' }    // Also write the run's entries to <log_dir>/<supplier>-<runId>.jsonl
+};
+
+// Values shorter than 4 characters would redact ordinary text, so they are ignored
+export function registerSecret(value) {
+    if (typeof value !== 'string' || value.length < 4) return;
+    secrets.add(value);
+    // Secrets also travel URL-encoded (form bodies, query strings) and inside Basic auth headers
+    secrets.add(encodeURIComponent(value));
+    secrets.add(JSON.stringify(value).slice(1, -1));
+}
+
+export function redact(text) {
+    let result = String(text);
+    // Longest first so a secret that contains another is not left half-redacted
+    for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+        result = result.split(secret).join(REDACTED);
+    }
+    return result;
+}
+
+// Joins log arguments the way console.log would, with every known secret redacted
+export const formatMessage = (args) => redact(args.map(arg => typeof arg === 'string' ? arg : inspect(arg, { depth: 5 })).join(' '));
+
+const defaultLogLevel = () => process.env.LOG_LEVEL || 'info';
+
+// The run's level from --log_level, $LOG_LEVEL or info
+export function logLevelFrom(values) {
+    const level = values.log_level || defaultLogLevel();
+    if (!LOG_LEVELS.includes(level)) throw new Error(`--log_level must be one of ${LOG_LEVELS.join(', ')}, got "${level}"`);
+    return level;
+}
+
+// 'json' or 'text', decided once per process
+let format = null;
+export function logFormat() {
+    if (!format) {
+        const requested = process.env.LOG_FORMAT;
+        format = requested === 'json' || requested === 'text' ? requested : (process.stdout.isTTY ? 'text' : 'json');
+    }
+    return format;
+}
+
+const runContext = new AsyncLocalStorage();
+
+// Runs `fn` with { runId, supplier, script, level, file } attached to every entry it logs.
+// The file is opened here and closed when `fn` settles.
+export async function withLogContext({ file = null, ...context }, fn) {
+    let fd = null;
+    if (file) {
+        fs.mkdirSync(join(file, '..'), { recursive: true });
+        fd = fs.openSync(file, 'a');
+    }
+    try {
+        return await runContext.run({ ...context, fd }, fn);
+    } finally {
+        if (fd !== null) fs.closeSync(fd);
+    }
+}
+
+// Per-run log file under `dir`, named after the supplier and the run
+export function runLogFile(dir, { supplier, runId }) {
+    return join(dir, `${String(supplier || 'run').replace(/[^A-Za-z0-9_.-]+/g, '_')}-${runId}.jsonl`);
+}
+
+function write(level, args) {
+    const context = runContext.getStore() || {};
+    const msg = formatMessage(args);
+
+    let json = null;
+    const toJson = () => {
+        if (json === null) {
+            const { runId, supplier, script } = context;
+            json = JSON.stringify({ time: new Date().toISOString(), level, msg: msg.trim(), runId, supplier, script });
+        }
+        return json;
+    };
+
+    if (context.fd != null) fs.writeSync(context.fd, `${toJson()}\n`);
+
+    const threshold = context.level || defaultLogLevel();
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(threshold)) return;
+
+    const line = logFormat() === 'json' ? toJson() : msg;
+    if (level === 'warn' || level === 'error') console.error(line);
+    else console.log(line);
+}
+
+export const logger = {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args)
+};
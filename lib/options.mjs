@@ -0,0 +1,67 @@
+// Option handling shared by the command-line entry points and the library API (see index.mjs).
+//
+// Options are declared once as parseArgs definitions with two extras: `default`, and
+// `secret: true` for values resolved from the environment first (see secrets.mjs). On the
+// command line they are flags; through the library they are the keys of the options object,
+// under the same names: { url: '...', db_table: '...', sink: 'sqlite', 'dry-run': true }.
+
+import { parseArgs } from 'util';
+import { resolveSecrets } from './secrets.mjs';
+
+// Splits the definitions into what parseArgs understands, the defaults and the secret flags
+export function splitDefinitions(definitions) {
+    const options = {};
+    const defaults = {};
+    const secretFlags = [];
+    for (const [key, { default: fallback, secret, ...definition }] of Object.entries(definitions)) {
+        options[key] = definition;
+        if (fallback !== undefined) defaults[key] = fallback;
+        if (secret) secretFlags.push(key);
+    }
+    return { options, defaults, secretFlags };
+}
+
+// Command-line flags. With `strict: false` unknown flags are ignored instead of rejected.
+export function parseFlags(definitions, { strict = true } = {}) {
+    const { options } = splitDefinitions(definitions);
+    let values;
+    try {
+        ({ values } = parseArgs({ options, strict }));
+    } catch (error) {
+        throw new Error(`${error.message}\n   Valid flags: ${Object.keys(options).map(k => `--${k}`).join(', ')}`);
+    }
+    return Object.fromEntries(Object.entries(values).filter(([key]) => options[key]));
+}
+
+// Options object passed to the library API. Unknown keys are rejected like unknown flags, and
+// numbers are converted to the strings the flags would carry.
+export function optionsFromObject(definitions, input = {}) {
+    const values = {};
+    for (const [key, value] of Object.entries(input)) {
+        const definition = definitions[key];
+        if (!definition) throw new Error(`Unknown option "${key}". Valid options: ${Object.keys(definitions).join(', ')}`);
+        if (value === undefined || value === null) continue;
+
+        if (definition.type === 'boolean') {
+            if (typeof value !== 'boolean') throw new Error(`Option "${key}" must be true or false, got ${JSON.stringify(value)}`);
+            values[key] = value;
+        } else {
+            values[key] = String(value);
+        }
+    }
+    return values;
+}
+
+// Precedence: the given values (flags or options object), then `fromRegistry`, then defaults.
+// Secrets are resolved in place; `fromCommandLine` lists the flags that were actually typed,
+// which get a warning when they carry a secret.
+export function resolveOptions(definitions, given, { fromRegistry = {}, fromCommandLine = {}, scope, required = [] } = {}) {
+    const { defaults, secretFlags } = splitDefinitions(definitions);
+    const values = { ...defaults, ...fromRegistry, ...given };
+    resolveSecrets(values, secretFlags, { scope, fromCommandLine });
+
+    for (const arg of required) {
+        if (!values[arg]) throw new Error(`Missing required parameter: --${arg}`);
+    }
+    return values;
+}
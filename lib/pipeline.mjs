@@ -0,0 +1,207 @@
+// Pipeline orchestration: supplier syncs -> Linnworks import -> cache purges.
+//
+// A pipeline definition lists steps, each running one of the scripts in this repo:
+//
+//   {
+//     "steps": [
+//       { "name": "marathon", "script": "marathon-inventory.mjs", "args": ["--supplier", "marathon"] },
+//       { "name": "import", "script": "linnworks-job.mjs", "args": ["--type", "import", "--job_name", "Stock"],
+//         "depends_on": ["marathon"] }
+//     ]
+//   }
+//
+// Steps start as soon as everything they depend on has succeeded, so independent supplier
+// syncs run in parallel. A step whose dependency failed, was anomalous or was skipped is skipped.
+// A step past its `timeout_minutes` gets SIGTERM, then SIGKILL if it is still running 30s later.
+
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { EXIT_OK, EXIT_ANOMALY } from './exit-codes.mjs';
+import { logger, logFormat } from './logger.mjs';
+
+const REPO_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const STEP_KEYS = ['name', 'script', 'args', 'depends_on', 'timeout_minutes'];
+
+const KILL_GRACE_MS = 30 * 1000;
+
+function validatePipeline(pipeline) {
+    const problems = [];
+    if (!pipeline || !Array.isArray(pipeline.steps) || pipeline.steps.length === 0) {
+        return ['pipeline must have a non-empty "steps" array'];
+    }
+    for (const key of Object.keys(pipeline)) {
+        if (key !== 'steps') problems.push(`pipeline has unknown key "${key}"`);
+    }
+
+    const names = new Set();
+    pipeline.steps.forEach((step, index) => {
+        const where = `steps[${index}]${step?.name ? ` (${step.name})` : ''}`;
+        for (const key of Object.keys(step || {})) {
+            if (!STEP_KEYS.includes(key)) problems.push(`${where} has unknown key "${key}" (allowed: ${STEP_KEYS.join(', ')})`);
+        }
+        if (!step?.name) problems.push(`${where} is missing required field "name"`);
+        if (!step?.script) problems.push(`${where} is missing required field "script"`);
+        if (step?.args !== undefined && !Array.isArray(step.args)) problems.push(`${where}.args must be an array`);
+        if (step?.depends_on !== undefined && !Array.isArray(step.depends_on)) problems.push(`${where}.depends_on must be an array`);
+        if (names.has(step?.name)) problems.push(`${where} reuses the step name "${step.name}"`);
+        names.add(step?.name);
+    });
+
+    for (const step of pipeline.steps) {
+        for (const dependency of step.depends_on || []) {
+            if (!names.has(dependency)) problems.push(`step "${step.name}" depends on unknown step "${dependency}"`);
+        }
+    }
+    if (problems.length === 0) {
+        const cycle = findCycle(pipeline.steps);
+        if (cycle) problems.push(`dependency cycle: ${cycle.join(' -> ')}`);
+    }
+    return problems;
+}
+
+function findCycle(steps) {
+    const byName = new Map(steps.map(s => [s.name, s]));
+    const state = new Map(); // name -> 'visiting' | 'done'
+
+    const visit = (name, path) => {
+        if (state.get(name) === 'done') return null;
+        if (state.get(name) === 'visiting') return [...path.slice(path.indexOf(name)), name];
+        state.set(name, 'visiting');
+        for (const dependency of byName.get(name).depends_on || []) {
+            const cycle = visit(dependency, [...path, name]);
+            if (cycle) return cycle;
+        }
+        state.set(name, 'done');
+        return null;
+    };
+
+    for (const step of steps) {
+        const cycle = visit(step.name, []);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+export async function loadPipeline(path) {
+    let pipeline;
+    try {
+        pipeline = JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read pipeline ${path}: ${error.message}`);
+    }
+
+    const problems = validatePipeline(pipeline);
+    if (problems.length > 0) throw new Error(`Invalid pipeline ${path}:\n  - ${problems.join('\n  - ')}`);
+    return pipeline;
+}
+
+// Tags every output line of a step so parallel syncs stay readable: a `[name]` prefix on a
+// terminal, a `step` field in JSON mode (lines that are not JSON, e.g. a crash trace, are wrapped)
+function tagLine(line, name, level) {
+    if (logFormat() !== 'json') return `[${name}] ${line}`;
+    try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry === 'object') return JSON.stringify({ ...entry, step: name });
+    } catch (error) { /* plain text */ }
+    return JSON.stringify({ time: new Date().toISOString(), level, msg: line, step: name });
+}
+
+function pipeOutput(stream, target, name, level) {
+    let pending = '';
+    stream.on('data', chunk => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            if (line.trim() !== '') target.write(`${tagLine(line, name, level)}\n`);
+        }
+    });
+    stream.on('end', () => {
+        if (pending.trim() !== '') target.write(`${tagLine(pending, name, level)}\n`);
+    });
+}
+
+function runStep(step, { killGraceMs }) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [join(REPO_ROOT, step.script), ...(step.args || [])], {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            // The steps' output is piped, so they would pick JSON on their own: keep ours
+            env: { ...process.env, LOG_FORMAT: logFormat() }
+        });
+        pipeOutput(child.stdout, process.stdout, step.name, 'info');
+        pipeOutput(child.stderr, process.stderr, step.name, 'error');
+
+        let timer = null;
+        let killTimer = null;
+        if (step.timeout_minutes) {
+            timer = setTimeout(() => {
+                logger.warn(`[${step.name}] ⏱️ Timed out after ${step.timeout_minutes} minutes, stopping...`);
+                child.kill('SIGTERM');
+                // A step stuck in a browser or on a socket may never get to handle SIGTERM
+                killTimer = setTimeout(() => {
+                    logger.warn(`[${step.name}] Still running ${killGraceMs / 1000}s after SIGTERM, killing it.`);
+                    child.kill('SIGKILL');
+                }, killGraceMs);
+            }, step.timeout_minutes * 60 * 1000);
+        }
+        const clearTimers = () => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+        };
+
+        child.on('error', error => {
+            clearTimers();
+            resolve({ exitCode: null, error: error.message });
+        });
+        child.on('close', (code, signal) => {
+            clearTimers();
+            resolve({ exitCode: code, error: signal ? `terminated by ${signal}` : null });
+        });
+    });
+}
+
+function outcomeFor({ exitCode, error }) {
+    if (exitCode === EXIT_OK) return 'succeeded';
+    if (exitCode === EXIT_ANOMALY) return 'anomalous';
+    return error ? `failed (${error})` : `failed (exit ${exitCode})`;
+}
+
+// Runs every step and resolves with one result per step, in definition order:
+// { name, outcome: 'succeeded' | 'anomalous' | 'failed (...)' | 'skipped (...)', durationMs }
+export async function runPipeline(pipeline, { log = logger.info, killGraceMs = KILL_GRACE_MS } = {}) {
+    const results = new Map();
+    const running = new Map();
+
+    const pending = () => pipeline.steps.filter(s => !results.has(s.name) && !running.has(s.name));
+
+    while (results.size < pipeline.steps.length) {
+        for (const step of pending()) {
+            const dependencies = (step.depends_on || []).map(name => results.get(name));
+            if (dependencies.some(d => d === undefined)) continue;
+
+            const blocker = (step.depends_on || []).find(name => results.get(name).outcome !== 'succeeded');
+            if (blocker) {
+                log(`⏭️  Skipping ${step.name}: upstream step ${blocker} ${results.get(blocker).outcome.split(' ')[0]}.`);
+                results.set(step.name, { name: step.name, outcome: `skipped (${blocker} did not succeed)`, durationMs: 0 });
+                continue;
+            }
+
+            log(`▶️  Starting ${step.name} (${step.script})...`);
+            const startedAt = Date.now();
+            running.set(step.name, runStep(step, { killGraceMs }).then(result => {
+                const outcome = outcomeFor(result);
+                results.set(step.name, { name: step.name, outcome, durationMs: Date.now() - startedAt });
+                running.delete(step.name);
+                const icon = outcome === 'succeeded' ? '✅' : (outcome === 'anomalous' ? '⚠️ ' : '❌');
+                log(`${icon} ${step.name} ${outcome}.`);
+            }));
+        }
+
+        // Skipping can unblock further skips without anything running, so only wait when something is in flight
+        if (running.size > 0) await Promise.race(running.values());
+    }
+
+    return pipeline.steps.map(step => results.get(step.name));
+}
@@ -0,0 +1,173 @@
+// Price basis and GBP normalization, so supplier prices can be compared like for like.
+//
+// Every record states the currency of its price and its VAT basis ("ex" or "inc"). Connectors
+// set what their supplier reports (Magento: the currency of each price; Marathon: GBP ex VAT,
+// see `priceBasis` in connector.mjs) and two flags fill the gaps or override the defaults:
+//
+//   --price_currency   ISO code of the supplier's prices, e.g. EUR
+//   --price_vat        "ex" or "inc"
+//
+// A connector whose supplier does not say (B2BWave; the VAT basis of BMS and Shopify) sets that
+// part of its priceBasis to null. Without the flag the run logs a warning and goes ahead, so
+// existing cron lines and registry entries keep working: the currency is assumed to be GBP and
+// the VAT basis is recorded as unknown (NULL), which leaves the GBP columns empty.
+//
+// The runner then adds a GBP ex-VAT and a GBP inc-VAT price to every record, from a locally
+// maintained rate table (--rates, rates.json by default, see rates.example.json):
+//
+//   {
+//     "vat": [{ "rate": 20, "effective_from": "2011-01-04" }],
+//     "fx":  [{ "currency": "EUR", "gbp_per_unit": 0.86, "effective_from": "2026-10-01" }]
+//   }
+//
+// The rates in effect on the day of the run are used: per currency (and for VAT) the entry with
+// the latest effective_from on or before it. A price whose currency, basis or rate is unknown
+// keeps empty GBP columns. Each cause is logged once: as a warning when a rate is missing from
+// the table, as a note when the supplier's basis or the table itself is simply not configured.
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { logger } from './logger.mjs';
+
+export const PRICING_OPTIONS = {
+    price_currency: { type: 'string' },
+    price_vat: { type: 'string' },
+    rates: { type: 'string' }
+};
+
+export const DEFAULT_RATES_PATH = 'rates.json';
+export const DEFAULT_CURRENCY = 'GBP';
+
+const VAT_BASES = ['ex', 'inc'];
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const isRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Collects every problem in the file, like the supplier registry
+function validateRates(table) {
+    const problems = [];
+    if (table === null || typeof table !== 'object' || Array.isArray(table)) return ['rate table must be an object'];
+    for (const key of Object.keys(table)) {
+        if (!['vat', 'fx'].includes(key)) problems.push(`rate table has unknown key "${key}" (allowed: vat, fx)`);
+    }
+
+    for (const [key, fields] of [['vat', ['rate']], ['fx', ['currency', 'gbp_per_unit']]]) {
+        if (table[key] === undefined) continue;
+        if (!Array.isArray(table[key])) {
+            problems.push(`${key} must be a list`);
+            continue;
+        }
+        table[key].forEach((entry, i) => {
+            const where = `${key}[${i}]`;
+            if (!isDate(entry?.effective_from)) problems.push(`${where}.effective_from must be a YYYY-MM-DD date`);
+            if (fields.includes('rate') && !isRate(entry?.rate)) problems.push(`${where}.rate must be a percentage, e.g. 20`);
+            if (fields.includes('currency') && !/^[A-Z]{3}$/.test(entry?.currency)) problems.push(`${where}.currency must be an ISO code, e.g. EUR`);
+            if (fields.includes('gbp_per_unit') && !(isRate(entry?.gbp_per_unit) && entry.gbp_per_unit > 0)) {
+                problems.push(`${where}.gbp_per_unit must be a positive number`);
+            }
+        });
+    }
+    return problems;
+}
+
+export async function loadRateTable(path = DEFAULT_RATES_PATH) {
+    let table;
+    try {
+        table = JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read rate table ${path}: ${error.message}`);
+    }
+
+    const problems = validateRates(table);
+    if (problems.length > 0) throw new Error(`Invalid rate table ${path}:\n  - ${problems.join('\n  - ')}`);
+    return { vat: table.vat || [], fx: table.fx || [] };
+}
+
+// The entry in effect on `day` (YYYY-MM-DD), or null
+function inEffect(entries, day) {
+    let current = null;
+    for (const entry of entries) {
+        if (entry.effective_from <= day && (!current || entry.effective_from > current.effective_from)) current = entry;
+    }
+    return current;
+}
+
+// Checks the flags against the connector's priceBasis and loads the rate table.
+// Throws before the run starts.
+export async function pricingFrom(values, { basis = {}, supplier = 'the supplier' } = {}) {
+    let currency = values.price_currency ? values.price_currency.trim().toUpperCase() : null;
+    if (currency && !/^[A-Z]{3}$/.test(currency)) throw new Error(`--price_currency must be an ISO currency code such as GBP or EUR, got "${values.price_currency}"`);
+    const vat = values.price_vat ? values.price_vat.trim().toLowerCase() : null;
+    if (vat && !VAT_BASES.includes(vat)) throw new Error(`--price_vat must be "ex" or "inc", got "${values.price_vat}"`);
+
+    if (basis.currency === null && !currency) {
+        currency = DEFAULT_CURRENCY;
+        logger.warn(`⚠️  ${supplier} prices do not say their currency: assuming ${DEFAULT_CURRENCY}. Set --price_currency on the command line or in the supplier registry.`);
+    }
+    if (basis.vat === null && !vat) {
+        logger.warn(`⚠️  ${supplier} prices do not say whether they include VAT: the VAT basis is recorded as unknown. Set --price_vat ex or inc on the command line or in the supplier registry.`);
+    }
+
+    const ratesPath = values.rates || (existsSync(DEFAULT_RATES_PATH) ? DEFAULT_RATES_PATH : null);
+    return { currency, vat, ratesPath, rates: ratesPath ? await loadRateTable(ratesPath) : null };
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Returns normalize(records), which fills in currency, vatBasis, priceGbpExVat and priceGbpIncVat.
+// `defaults` is the connector's priceBasis; `warn` reports the rates missing from the table.
+// Only `price` is converted. Rrp is Marathon's, which is already GBP ex VAT, and the tier price
+// rows keep the currency Magento reports for each of them, next to the converted base price.
+export function createPriceNormalizer(pricing, { defaults = {}, date = new Date(), warn = logger.warn } = {}) {
+    const day = date.toISOString().slice(0, 10);
+    const rates = pricing.rates || { vat: [], fx: [] };
+    const vatRate = inEffect(rates.vat, day)?.rate ?? null;
+
+    const reported = new Set();
+    const reportOnce = (message, { missingRate = false } = {}) => {
+        if (reported.has(message)) return;
+        reported.add(message);
+        if (missingRate && pricing.ratesPath) warn(`⚠️  ${message}`);
+        else logger.info(message);
+    };
+    const where = pricing.ratesPath ? `in ${pricing.ratesPath}` : '(no --rates table)';
+
+    if (pricing.ratesPath) logger.info(`Prices normalized to GBP with the rates in effect on ${day} (${pricing.ratesPath}).`);
+
+    const gbpPerUnit = (currency) => {
+        if (currency === 'GBP') return 1;
+        const rate = inEffect(rates.fx.filter(entry => entry.currency === currency), day)?.gbp_per_unit ?? null;
+        if (rate === null) reportOnce(`No ${currency} to GBP rate in effect on ${day} ${where}: GBP prices left empty.`, { missingRate: true });
+        return rate;
+    };
+
+    return (records) => {
+        for (const record of records) {
+            record.currency = record.currency ?? pricing.currency ?? defaults.currency ?? null;
+            record.vatBasis = record.vatBasis ?? pricing.vat ?? defaults.vat ?? null;
+            if (!(Number(record.price) > 0)) continue;
+
+            if (!record.currency) {
+                reportOnce('Prices have no currency: pass --price_currency to convert them to GBP.');
+                continue;
+            }
+            const fx = gbpPerUnit(record.currency);
+            if (fx === null) continue;
+            const gbp = Number(record.price) * fx;
+
+            if (!record.vatBasis) {
+                reportOnce('Prices have no VAT basis: pass --price_vat ex or --price_vat inc to convert them.');
+                continue;
+            }
+            if (record.vatBasis === 'ex') record.priceGbpExVat = round(gbp);
+            else record.priceGbpIncVat = round(gbp);
+
+            if (vatRate === null) {
+                reportOnce(`No VAT rate in effect on ${day} ${where}: only the ${record.vatBasis}-VAT GBP price is filled.`, { missingRate: true });
+                continue;
+            }
+            if (record.vatBasis === 'ex') record.priceGbpIncVat = round(gbp * (1 + vatRate / 100));
+            else record.priceGbpExVat = round(gbp / (1 + vatRate / 100));
+        }
+    };
+}
@@ -0,0 +1,208 @@
+// Normalized product record and the table layouts the writer persists it into.
+//
+// Every connector maps its supplier's payload into createProductRecord() objects.
+// A layout describes one output table: its columns, how each column's value is read
+// from a record, and (for child tables) how one record expands into several rows.
+//
+// Column types are written in MySQL syntax; the other sinks translate them (see sinks/).
+// `indexes` and `tableOptions` are MySQL DDL and only used by the MySQL sink, while
+// `key: true` columns (the upsert key) become a unique constraint on every SQL sink, and the
+// `owner: true` column holds the uuid of the record a row was written for (see writer.discard()).
+
+import crypto from 'crypto';
+import { DEFAULT_HISTORY_COLUMNS } from './history.mjs';
+
+// Fields shared by every supplier. Anything supplier-specific goes into `extra`.
+//   categories: [{ id, name }]
+//   images:     [{ url, position, main }]  (+ localPath, hash, width, height, bytes once mirrored)
+//   options:    [{ type, id, attributeId, label, position, valueIndices, productId, childSku, qty, price, sampleUrl }]
+//               (configurable, bundle, grouped and downloadable parents; see parentOptions() in connectors/magento.mjs
+//               and childOptions() in connectors/marathon.mjs)
+//   tierPrices: [{ quantity, regularPrice, finalPrice, currency, amountOff, percentOff }]
+//   attributes: [{ code, value }]  (extra supplier attributes such as EAN or MPN)
+//   currency, vatBasis: what `price` is in (ISO code, "ex"/"inc" VAT); priceGbpExVat and
+//               priceGbpIncVat are derived from them by the runner (see pricing.mjs)
+export function createProductRecord(fields) {
+    return {
+        sku: fields.sku ?? null,
+        name: fields.name ?? null,
+        price: fields.price ?? null,
+        rrp: fields.rrp ?? null,
+        qty: fields.qty ?? null,
+        status: fields.status ?? null,
+        manufacturer: fields.manufacturer ?? null,
+        categories: fields.categories ?? null,
+        images: fields.images ?? [],
+        options: fields.options ?? [],
+        tierPrices: fields.tierPrices ?? [],
+        attributes: fields.attributes ?? [],
+        id: fields.id ?? null,
+        attributeSetId: fields.attributeSetId ?? null,
+        typeId: fields.typeId ?? null,
+        specialPrice: fields.specialPrice ?? null,
+        specialFromDate: fields.specialFromDate ?? null,
+        specialToDate: fields.specialToDate ?? null,
+        urlKey: fields.urlKey ?? null,
+        currency: fields.currency ?? null,
+        vatBasis: fields.vatBasis ?? null,
+        priceGbpExVat: fields.priceGbpExVat ?? null,
+        priceGbpIncVat: fields.priceGbpIncVat ?? null,
+        extra: fields.extra ?? {},
+        // Assigned by the writer; child rows (options, images) link back to it
+        uuid: fields.uuid ?? null
+    };
+}
+
+export const stockStatus = (qty) => qty > 0 ? 'IN_STOCK' : 'OUT_OF_STOCK';
+
+// Columns without a `value` getter (AUTO_INCREMENT ids, DEFAULT timestamps) are left to the database
+export const insertableColumns = (layout) => layout.columns.filter(c => c.value);
+
+// '' for a product without categories, NULL when the supplier does not report the field at all
+// (B2BWave has a category path but no IDs), as the per-supplier scripts always wrote them
+function joinCategories(record, key, separator) {
+    if (!record.categories) return null;
+    const values = record.categories.map(c => c[key]).filter(v => v !== null && v !== undefined);
+    return values.length === 0 && record.categories.length > 0 ? null : values.join(separator);
+}
+
+// Source currency and VAT basis of the price, and the GBP prices derived from it (see pricing.mjs)
+export const PRICE_BASIS_COLUMNS = [
+    { name: 'Currency', type: 'VARCHAR(3)', value: r => r.currency },
+    { name: 'Vat_basis', type: 'VARCHAR(3)', value: r => r.vatBasis },
+    { name: 'Price_GBP_ex_VAT', type: 'DECIMAL(10,2)', value: r => r.priceGbpExVat },
+    { name: 'Price_GBP_inc_VAT', type: 'DECIMAL(10,2)', value: r => r.priceGbpIncVat }
+];
+
+// --- API_Vis_Product_List (Magento, B2BWave, Marathon) ---
+// `rrp` adds the Rrp column right after Price (only Marathon reports an RRP today),
+// `storeView` a trailing Store_view column with the store code the row was read from (Magento)
+// and `parentSku` a trailing Parent_sku column with the configurable a child belongs to (Marathon).
+// With several store views the history and the guardrails follow `historyStoreView` only.
+export function productListLayout({ rrp = false, storeView = false, historyStoreView = null, parentSku = false } = {}) {
+    const columns = [
+        { name: 'API_Vis_Product_List ID', type: 'CHAR(36) PRIMARY KEY', value: r => r.uuid, owner: true },
+        { name: 'Sku', type: 'VARCHAR(255)', value: r => r.sku },
+        { name: 'Id', type: 'VARCHAR(255)', value: r => r.id?.toString() || null },
+        { name: 'Attribute_set_id', type: 'INT', value: r => r.attributeSetId || null },
+        { name: 'Status', type: 'VARCHAR(50)', value: r => r.status || 'UNKNOWN' },
+        { name: 'Price', type: 'DECIMAL(10,2)', value: r => r.price || 0 },
+        { name: 'Name', type: 'TEXT', value: r => r.name },
+        { name: 'Type id', type: 'VARCHAR(50)', value: r => r.typeId },
+        { name: 'Only_x_left_in_stock', type: 'DECIMAL(10,2)', value: r => r.qty },
+        { name: 'Special_price', type: 'DECIMAL(10,2)', value: r => r.specialPrice },
+        { name: 'Special_from_date', type: 'VARCHAR(50)', value: r => r.specialFromDate },
+        { name: 'Special_to_date', type: 'VARCHAR(50)', value: r => r.specialToDate },
+        { name: 'Url_key', type: 'VARCHAR(255)', value: r => r.urlKey },
+        { name: 'Manufacturer', type: 'VARCHAR(255)', value: r => r.manufacturer?.toString() || null },
+        { name: 'Category_IDs', type: 'TEXT', value: r => joinCategories(r, 'id', ',') },
+        { name: 'Category_Names', type: 'TEXT', value: r => joinCategories(r, 'name', ' > ') },
+        ...PRICE_BASIS_COLUMNS
+    ];
+    if (rrp) {
+        const priceIndex = columns.findIndex(c => c.name === 'Price');
+        columns.splice(priceIndex + 1, 0, { name: 'Rrp', type: 'DECIMAL(10,2)', value: r => r.rrp || 0 });
+    }
+    if (storeView) columns.push({ name: 'Store_view', type: 'VARCHAR(64)', value: r => r.extra.storeView ?? null });
+    if (parentSku) columns.push({ name: 'Parent_sku', type: 'VARCHAR(255)', value: r => r.extra.parentSku ?? null });
+    if (!storeView) return { columns };
+    return { columns, history: { ...DEFAULT_HISTORY_COLUMNS, storeView: { column: 'Store_view', value: historyStoreView } } };
+}
+
+// --- Configurable, bundle, grouped and downloadable options (Magento, Marathon) ---
+export const OPTIONS_LAYOUT = {
+    expand: r => r.options.map(option => ({ ...option, parent: r })),
+    columns: [
+        { name: 'Configurable product ID', type: 'CHAR(36) PRIMARY KEY', value: () => crypto.randomUUID() },
+        { name: 'API_Vis_Product_List ID', type: 'CHAR(36)', value: o => o.parent.uuid, owner: true },
+        {
+            name: 'Configurable product options', type: 'TEXT',
+            value: o => `${o.id} ${o.attributeId} ${o.label} ${o.position} ${(o.valueIndices || []).join(' ')} ${o.productId}`
+        },
+        { name: 'Opt_Attribute id', type: 'VARCHAR(50)', value: o => o.attributeId?.toString() },
+        { name: 'Opt_Id', type: 'VARCHAR(50)', value: o => o.id?.toString() },
+        { name: 'Opt_Label', type: 'VARCHAR(255)', value: o => o.label },
+        { name: 'Position', type: 'VARCHAR(10)', value: o => o.position?.toString() },
+        { name: 'Opt_Product id', type: 'VARCHAR(50)', value: o => o.productId?.toString() },
+        { name: 'Option_type', type: 'VARCHAR(20)', value: o => o.type || 'configurable' },
+        { name: 'Child_sku', type: 'VARCHAR(255)', value: o => o.childSku ?? null },
+        { name: 'Child_qty', type: 'DECIMAL(12,4)', value: o => o.qty ?? null },
+        { name: 'Opt_Price', type: 'DECIMAL(10,2)', value: o => o.price ?? null },
+        { name: 'Sample_url', type: 'VARCHAR(2000)', value: o => o.sampleUrl ?? null }
+    ]
+};
+
+// --- Images (Magento) ---
+export const IMAGES_LAYOUT = {
+    expand: r => r.images.map(image => ({ ...image, parent: r })),
+    columns: [
+        { name: 'Images List ID', type: 'CHAR(36) PRIMARY KEY', value: () => crypto.randomUUID() },
+        { name: 'Parent ID', type: 'CHAR(36)', value: i => i.parent.uuid, owner: true },
+        { name: 'SKU', type: 'VARCHAR(255)', value: i => i.parent.sku },
+        { name: 'ImageFile', type: 'VARCHAR(2000)', value: i => i.url },
+        { name: 'Image_pos', type: 'INT', value: i => i.position || 1 },
+        { name: 'Image_main', type: 'VARCHAR(50)', value: i => i.main ? 'image' : null }
+    ]
+};
+
+// --- Mirrored images (Magento --mirror_dir) ---
+// The images table plus the local copy of each file (see image-mirror.mjs)
+export const MIRRORED_IMAGES_LAYOUT = {
+    ...IMAGES_LAYOUT,
+    columns: [
+        ...IMAGES_LAYOUT.columns,
+        { name: 'Local_path', type: 'VARCHAR(1000)', value: i => i.localPath ?? null },
+        { name: 'Content_hash', type: 'CHAR(64)', value: i => i.hash ?? null },
+        { name: 'Width', type: 'INT', value: i => i.width ?? null },
+        { name: 'Height', type: 'INT', value: i => i.height ?? null },
+        { name: 'Bytes', type: 'INT', value: i => i.bytes ?? null }
+    ]
+};
+
+// --- Tier prices (Magento) ---
+// One row per quantity break; the cost for an order of N units is the row with the largest Quantity <= N
+export const TIER_PRICES_LAYOUT = {
+    expand: r => r.tierPrices.map(tier => ({ ...tier, parent: r })),
+    columns: [
+        { name: 'Tier Price ID', type: 'CHAR(36) PRIMARY KEY', value: () => crypto.randomUUID() },
+        { name: 'API_Vis_Product_List ID', type: 'CHAR(36)', value: t => t.parent.uuid, owner: true },
+        { name: 'SKU', type: 'VARCHAR(255)', value: t => t.parent.sku },
+        { name: 'Quantity', type: 'DECIMAL(12,4)', value: t => t.quantity },
+        { name: 'Regular_price', type: 'DECIMAL(10,2)', value: t => t.regularPrice },
+        { name: 'Final_price', type: 'DECIMAL(10,2)', value: t => t.finalPrice },
+        { name: 'Discount_amount', type: 'DECIMAL(10,2)', value: t => t.amountOff },
+        { name: 'Discount_percent', type: 'DECIMAL(5,2)', value: t => t.percentOff },
+        { name: 'Currency', type: 'VARCHAR(3)', value: t => t.currency }
+    ]
+};
+
+// --- Attributes (Magento --attributes) ---
+// Long key/value table: one row per SKU and attribute
+export const ATTRIBUTES_LAYOUT = {
+    expand: r => r.attributes.map(attribute => ({ ...attribute, parent: r })),
+    columns: [
+        { name: 'Attribute ID', type: 'CHAR(36) PRIMARY KEY', value: () => crypto.randomUUID() },
+        { name: 'API_Vis_Product_List ID', type: 'CHAR(36)', value: a => a.parent.uuid, owner: true },
+        { name: 'SKU', type: 'VARCHAR(255)', value: a => a.parent.sku },
+        { name: 'Attribute', type: 'VARCHAR(255)', value: a => a.code },
+        { name: 'Value', type: 'TEXT', value: a => a.value }
+    ],
+    indexes: ['INDEX idx_sku_attribute (`SKU`, `Attribute`)']
+};
+
+// --- Failed items (Magento) ---
+// Items a page returned empty that a targeted re-fetch could not recover either.
+// `standalone`: the rows are passed by the connector, not expanded from the records.
+export const FAILED_ITEMS_LAYOUT = {
+    standalone: true,
+    columns: [
+        { name: 'Failure ID', type: 'CHAR(36) PRIMARY KEY', value: f => f.id ?? crypto.randomUUID(), owner: true },
+        { name: 'SKU', type: 'VARCHAR(255)', value: f => f.sku },
+        { name: 'Category_ID', type: 'VARCHAR(50)', value: f => f.categoryId },
+        { name: 'Store_view', type: 'VARCHAR(64)', value: f => f.store },
+        { name: 'Page', type: 'INT', value: f => f.page },
+        { name: 'Item_index', type: 'INT', value: f => f.index },
+        { name: 'Failed_fields', type: 'TEXT', value: f => f.fields.join(',') || null },
+        { name: 'Error', type: 'TEXT', value: f => f.error }
+    ]
+};
@@ -0,0 +1,171 @@
+// Declarative supplier registry.
+//
+// Instead of passing 8-12 flags to every job, suppliers are listed once in a JSON file
+// (suppliers.json by default, see suppliers.example.json) and selected with --supplier:
+//
+//   {
+//     "db_profiles": { "default": { "host": "...", "user": "...", "password": "...", "database": "..." } },
+//     "suppliers": {
+//       "marathon": {
+//         "connector": "marathon",
+//         "endpoint": "https://...",
+//         "db_profile": "default",
+//         "tables": { "products": "API_Marathon_Product_List" },
+//         "options": { "consumer_key": "..." }
+//       }
+//     }
+//   }
+//
+// Passwords, tokens and cookies are best left out of the file: secret flags are resolved
+// from the environment or secret files first (see secrets.mjs), e.g. MARATHON_CONSUMER_SECRET.
+//
+// Validation collects every problem in the file and reports them together.
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { HTTP_OPTIONS } from './http.mjs';
+import { GUARDRAIL_OPTIONS } from './guardrails.mjs';
+import { LOG_OPTIONS } from './logger.mjs';
+import { PRICING_OPTIONS } from './pricing.mjs';
+
+const TOP_LEVEL_KEYS = ['db_profiles', 'suppliers'];
+const DB_PROFILE_KEYS = ['host', 'user', 'password', 'database'];
+const DB_PROFILE_REQUIRED = ['host', 'user', 'database'];
+const SUPPLIER_KEYS = ['connector', 'endpoint', 'db_profile', 'tables', 'options'];
+const SUPPLIER_REQUIRED = ['connector', 'tables'];
+
+// db profile field -> connector flag
+const DB_PROFILE_FLAGS = { host: 'db_host', user: 'db_user', password: 'db_pass', database: 'db_name' };
+
+export const DEFAULT_REGISTRY_PATH = 'suppliers.json';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkKeys(problems, where, object, allowed, required = []) {
+    if (!isObject(object)) {
+        problems.push(`${where} must be an object`);
+        return false;
+    }
+    for (const key of Object.keys(object)) {
+        if (!allowed.includes(key)) problems.push(`${where} has unknown key "${key}" (allowed: ${allowed.join(', ')})`);
+    }
+    for (const key of required) {
+        if (object[key] === undefined || object[key] === '') problems.push(`${where} is missing required field "${key}"`);
+    }
+    return true;
+}
+
+function validateRegistry(registry) {
+    const problems = [];
+    if (!checkKeys(problems, 'registry', registry, TOP_LEVEL_KEYS, ['suppliers'])) return problems;
+
+    const profiles = registry.db_profiles || {};
+    if (checkKeys(problems, 'db_profiles', profiles, Object.keys(profiles))) {
+        for (const [name, profile] of Object.entries(profiles)) {
+            checkKeys(problems, `db_profiles.${name}`, profile, DB_PROFILE_KEYS, DB_PROFILE_REQUIRED);
+        }
+    }
+
+    if (checkKeys(problems, 'suppliers', registry.suppliers, Object.keys(registry.suppliers || {}))) {
+        for (const [name, supplier] of Object.entries(registry.suppliers)) {
+            const where = `suppliers.${name}`;
+            if (!checkKeys(problems, where, supplier, SUPPLIER_KEYS, SUPPLIER_REQUIRED)) continue;
+
+            if (supplier.tables !== undefined) {
+                if (!isObject(supplier.tables)) problems.push(`${where}.tables must be an object`);
+                else if (!supplier.tables.products) problems.push(`${where}.tables is missing required field "products"`);
+            }
+            if (supplier.options !== undefined && !isObject(supplier.options)) {
+                problems.push(`${where}.options must be an object`);
+            }
+            const profile = supplier.db_profile || 'default';
+            if (!profiles[profile]) problems.push(`${where}.db_profile "${profile}" is not defined in db_profiles`);
+        }
+    }
+    return problems;
+}
+
+export async function loadRegistry(path = DEFAULT_REGISTRY_PATH) {
+    let registry;
+    try {
+        registry = JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read supplier registry ${path}: ${error.message}`);
+    }
+
+    const problems = validateRegistry(registry);
+    if (problems.length > 0) {
+        throw new Error(`Invalid supplier registry ${path}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return registry;
+}
+
+// The registry file to read for `given.supplier`: --config, else ./suppliers.json when present
+export function registryPathFor(given) {
+    if (given.config && !given.supplier) throw new Error('--config requires --supplier <name>');
+    return given.config || (existsSync(DEFAULT_REGISTRY_PATH) ? DEFAULT_REGISTRY_PATH : null);
+}
+
+const unknownSupplierError = (registry, name) =>
+    new Error(`Unknown supplier "${name}". Registered suppliers: ${Object.keys(registry.suppliers).join(', ')}`);
+
+function dbProfileValues(registry, supplier) {
+    const values = {};
+    const profile = registry.db_profiles[supplier.db_profile || 'default'];
+    for (const [field, flag] of Object.entries(DB_PROFILE_FLAGS)) {
+        if (profile[field] !== undefined) values[flag] = String(profile[field]);
+    }
+    return values;
+}
+
+// Only the --db_* flag values of a supplier's database profile, for the scripts that read the
+// database rather than run the connector (sku-history.mjs)
+export function resolveDbProfile(registry, name) {
+    const supplier = registry.suppliers[name];
+    if (!supplier) throw unknownSupplierError(registry, name);
+    return dbProfileValues(registry, supplier);
+}
+
+// Table kind -> connector flag: products -> db_table, options -> db_options_table, ...
+const tableFlag = (kind) => kind === 'products' ? 'db_table' : `db_${kind}_table`;
+
+// Translates one registry entry into the same flag values the connector would get on the
+// command line. Checks the entry against the connector that is actually being run.
+export function resolveSupplier(registry, name, connector) {
+    const supplier = registry.suppliers[name];
+    if (!supplier) throw unknownSupplierError(registry, name);
+
+    const where = `suppliers.${name}`;
+    if (supplier.connector !== connector.type) {
+        throw new Error(`${where} uses connector "${supplier.connector}", but this script runs the "${connector.type}" connector`);
+    }
+
+    const problems = [];
+    const values = dbProfileValues(registry, supplier);
+
+    const endpointFlag = connector.endpointOption || 'url';
+    if (supplier.endpoint !== undefined) values[endpointFlag] = supplier.endpoint;
+
+    for (const [kind, table] of Object.entries(supplier.tables)) {
+        const flag = tableFlag(kind);
+        if (!connector.options[flag]) problems.push(`${where}.tables has unknown table "${kind}" for the ${connector.type} connector`);
+        else values[flag] = table;
+    }
+
+    for (const [key, value] of Object.entries(supplier.options || {})) {
+        // The --http_*, guardrail limit, --log_* and price basis flags are shared by every connector
+        const definition = connector.options[key] || HTTP_OPTIONS[key] || GUARDRAIL_OPTIONS[key] || LOG_OPTIONS[key] || PRICING_OPTIONS[key];
+        if (!definition || key === endpointFlag || key.startsWith('db_')) {
+            problems.push(`${where}.options has unknown option "${key}" for the ${connector.type} connector`);
+        } else if (definition.type === 'boolean') {
+            // Kept as a boolean: the string "false" would be truthy
+            if (typeof value !== 'boolean') problems.push(`${where}.options.${key} must be true or false, got ${JSON.stringify(value)}`);
+            else values[key] = value;
+        } else {
+            values[key] = String(value);
+        }
+    }
+
+    if (problems.length > 0) throw new Error(`Invalid supplier registry entry:\n  - ${problems.join('\n  - ')}`);
+    return values;
+}
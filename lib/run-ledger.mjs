@@ -0,0 +1,78 @@
+// Sync run ledger: one row per script run in `sync_runs`, so schedulers and dashboards can see
+// what ran, how long it took, how much it wrote and why it failed without reading console output.
+
+import crypto from 'crypto';
+import { logger, redact } from './logger.mjs';
+
+export const SYNC_RUNS_TABLE = 'sync_runs';
+
+export async function ensureLedgerTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS \`${SYNC_RUNS_TABLE}\` (
+            \`run_id\`        CHAR(36) PRIMARY KEY,
+            \`supplier\`      VARCHAR(255) NOT NULL,
+            \`script\`        VARCHAR(255) NOT NULL,
+            \`started_at\`    DATETIME NOT NULL,
+            \`finished_at\`   DATETIME,
+            \`pages_fetched\` INT,
+            \`rows_written\`  INT,
+            \`warnings\`      INT,
+            \`outcome\`       VARCHAR(20) NOT NULL,
+            \`exit_status\`   INT,
+            \`error_message\` TEXT,
+            KEY \`idx_supplier_started\` (\`supplier\`, \`started_at\`)
+        )
+    `);
+}
+
+// Records the start of a run with outcome 'running'. A row that stays 'running' means the process died.
+export async function startRun(db, { runId, supplier, script }) {
+    await ensureLedgerTable(db);
+    await db.query(
+        `INSERT INTO \`${SYNC_RUNS_TABLE}\` (run_id, supplier, script, started_at, outcome) VALUES (?, ?, ?, NOW(), 'running')`,
+        [runId, supplier, script]
+    );
+}
+
+// outcome: 'succeeded' | 'failed' | 'anomalous' | 'skipped'
+export async function finishRun(db, runId, { pagesFetched = null, rowsWritten = null, warnings = null, outcome, exitStatus, errorMessage = null }) {
+    await db.query(`
+        UPDATE \`${SYNC_RUNS_TABLE}\`
+        SET finished_at = NOW(), pages_fetched = ?, rows_written = ?, warnings = ?, outcome = ?, exit_status = ?, error_message = ?
+        WHERE run_id = ?
+    `, [pagesFetched, rowsWritten, warnings, outcome, exitStatus, errorMessage === null ? null : redact(errorMessage), runId]);
+}
+
+// For the scripts that have no database of their own (Linnworks, cache purges, file downloads):
+// the ledger is only written when the --db_* flags are supplied. Ledger problems are logged but
+// never stop the job itself. Returns null when there is no ledger, otherwise `{ runId, finish(result) }`.
+export async function openRunLedger(values, { supplier, script, runId = crypto.randomUUID() }) {
+    if (!values.db_host || !values.db_name) return null;
+
+    let db;
+    try {
+        // Imported lazily so these scripts still run without mysql2 when no ledger is configured
+        const { default: mysql } = await import('mysql2/promise');
+        db = await mysql.createConnection({
+            host: values.db_host, user: values.db_user, password: values.db_pass, database: values.db_name
+        });
+        await startRun(db, { runId, supplier, script });
+
+        return {
+            runId,
+            async finish(result) {
+                try {
+                    await finishRun(db, runId, result);
+                } catch (error) {
+                    logger.warn(`⚠️  Could not record the run in ${SYNC_RUNS_TABLE}: ${error.message}`);
+                } finally {
+                    await db.end();
+                }
+            }
+        };
+    } catch (error) {
+        logger.warn(`⚠️  Could not open the ${SYNC_RUNS_TABLE} ledger, continuing without it: ${error.message}`);
+        if (db) await db.end().catch(() => {});
+        return null;
+    }
+}
@@ -0,0 +1,76 @@
+// Credential resolution shared by every script.
+//
+// Secrets are looked up in this order, so they never have to appear in `ps` output or cron logs:
+//   1. environment variable, supplier-scoped first:  MARATHON_CONSUMER_SECRET, then CONSUMER_SECRET
+//      (a .env file in the working directory is loaded into the environment first)
+//   2. per-secret file named by <VAR>_FILE:          DB_PASS_FILE=/run/secrets/db_pass
+//   3. a file named after the flag in SECRETS_DIR:    $SECRETS_DIR/db_pass
+//   4. the command-line flag (or registry value), kept only as a fallback
+//
+// Every resolved value is registered with the logger so it is redacted from all output.
+
+import fs from 'fs';
+import { join } from 'path';
+import { logger, registerSecret } from './logger.mjs';
+
+let dotEnvLoaded = false;
+
+// Minimal .env parser: KEY=VALUE lines, optional quotes, # comments. Existing variables win.
+export function loadDotEnv(path = '.env') {
+    if (dotEnvLoaded) return;
+    dotEnvLoaded = true;
+    if (!fs.existsSync(path)) return;
+
+    for (const line of fs.readFileSync(path, 'utf8').split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) continue;
+        let [, key, value] = match;
+        if (/^(['"]).*\1$/.test(value)) value = value.slice(1, -1);
+        else value = value.replace(/\s+#.*$/, '');
+        if (process.env[key] === undefined) process.env[key] = value;
+    }
+}
+
+const envName = (text) => text.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+function readSecretFile(path) {
+    try {
+        return fs.readFileSync(path, 'utf8').trim();
+    } catch (error) {
+        throw new Error(`Could not read secret file ${path}: ${error.message}`);
+    }
+}
+
+// Returns `{ value, source }` for one secret flag, or `{ value: fallback, source: 'flag' }`
+export function resolveSecret(flag, { scope, fallback } = {}) {
+    loadDotEnv();
+    const names = scope ? [`${envName(scope)}_${envName(flag)}`, envName(flag)] : [envName(flag)];
+
+    for (const name of names) {
+        if (process.env[name]) return { value: process.env[name], source: `$${name}` };
+    }
+    for (const name of names) {
+        const file = process.env[`${name}_FILE`];
+        if (file) return { value: readSecretFile(file), source: file };
+    }
+    if (process.env.SECRETS_DIR) {
+        const file = join(process.env.SECRETS_DIR, flag);
+        if (fs.existsSync(file)) return { value: readSecretFile(file), source: file };
+    }
+    return { value: fallback, source: 'flag' };
+}
+
+// Resolves each secret flag in `values` in place and registers it for redaction.
+// `fromCommandLine` lists the flags that were actually typed on the command line.
+export function resolveSecrets(values, flags, { scope, fromCommandLine = values } = {}) {
+    for (const flag of flags) {
+        const { value, source } = resolveSecret(flag, { scope, fallback: values[flag] });
+        values[flag] = value;
+        registerSecret(value);
+
+        if (source === 'flag' && fromCommandLine[flag]) {
+            logger.warn(`⚠️  --${flag} was passed on the command line and is visible in process listings. Set ${envName(flag)} or ${envName(flag)}_FILE instead.`);
+        }
+    }
+    return values;
+}
@@ -0,0 +1,100 @@
+// CSV and JSONL sinks: one file per table, named after the table, in the --out directory.
+//
+// Rows stream into `<table>_staging.<ext>`; publish() moves the current file to
+// `<table>_prev.<ext>` and the staging file into its place. Unlike the database sinks
+// the per-file renames are not atomic as a group.
+//
+// Upsert layouts (Shopify) are buffered in memory by their key columns, so a variant seen
+// twice is written once with its last values, like ON DUPLICATE KEY UPDATE would.
+
+import { createWriteStream, existsSync } from 'fs';
+import { mkdir, rename } from 'fs/promises';
+import { join } from 'path';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { stagingName, previousName, missingStagingError } from '../staging.mjs';
+import { insertableColumns } from '../products.mjs';
+import { logger } from '../logger.mjs';
+
+export const DEFAULT_OUT_DIR = 'output';
+
+// RFC 4180: quote fields that contain a separator, quote or line break
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const FORMATS = {
+    csv: {
+        header: (columns) => columns.map(c => csvField(c.name)).join(',') + '\n',
+        line: (columns, row) => row.map(csvField).join(',') + '\n'
+    },
+    jsonl: {
+        header: () => '',
+        line: (columns, row) => JSON.stringify(Object.fromEntries(columns.map((c, i) => [c.name, row[i] ?? null]))) + '\n'
+    }
+};
+
+export async function openFileSink(values) {
+    const format = FORMATS[values.sink];
+    const dir = values.out || DEFAULT_OUT_DIR;
+    await mkdir(dir, { recursive: true });
+    logger.info(`Writing ${values.sink.toUpperCase()} files to ${dir}...`);
+
+    const tables = {};
+    const fileName = (table) => join(dir, `${table}.${values.sink}`);
+
+    async function writeLine(stream, text) {
+        if (!stream.write(text)) await once(stream, 'drain');
+    }
+
+    return {
+        type: values.sink,
+        db: null,
+
+        // A resumed run appends to the staging file, which already has its header
+        async createStaging(kind, { name, layout }, { resume = false } = {}) {
+            const columns = insertableColumns(layout);
+            const file = fileName(stagingName(name));
+            if (resume && !existsSync(file)) throw missingStagingError(file);
+            const stream = createWriteStream(file, { flags: resume ? 'a' : 'w' });
+            if (!resume) await writeLine(stream, format.header(columns));
+
+            const keyIndexes = layout.upsert ? columns.map((c, i) => c.key ? i : -1).filter(i => i >= 0) : [];
+            tables[kind] = { name, columns, stream, keyIndexes, buffered: keyIndexes.length > 0 ? new Map() : null };
+        },
+
+        async insert(kind, rows) {
+            const { columns, stream, keyIndexes, buffered } = tables[kind];
+            for (const row of rows) {
+                if (buffered) buffered.set(JSON.stringify(keyIndexes.map(i => row[i])), row);
+                else await writeLine(stream, format.line(columns, row));
+            }
+        },
+
+        // The files are append-only: rows already written cannot be taken out again
+        async discard(kind) {
+            throw new Error(`The ${values.sink} sink cannot remove the rows of an interrupted write from ${fileName(stagingName(tables[kind].name))}. Run again without --resume.`);
+        },
+
+        async publish() {
+            for (const { columns, stream, buffered } of Object.values(tables)) {
+                for (const row of buffered?.values() || []) await writeLine(stream, format.line(columns, row));
+                stream.end();
+                await finished(stream);
+            }
+            for (const { name } of Object.values(tables)) {
+                if (existsSync(fileName(name))) await rename(fileName(name), fileName(previousName(name)));
+                await rename(fileName(stagingName(name)), fileName(name));
+            }
+        },
+
+        // Flushes what a failed run wrote, so --resume finds complete staging files
+        async close() {
+            for (const { stream } of Object.values(tables)) {
+                if (!stream.closed) await new Promise(resolve => stream.end(resolve));
+            }
+        }
+    };
+}
@@ -0,0 +1,49 @@
+// Output sinks. Every connector writes the same tables (same names, same columns) to the sink
+// selected with --sink:
+//
+//   mysql      (default) staging tables swapped live with one RENAME TABLE
+//   postgres   staging tables swapped live in one transaction
+//   sqlite     the same staging swap inside a local database file (--out, default inventory.sqlite)
+//   csv, jsonl one file per table in a directory (--out, default ./output)
+//
+// Whatever the sink, the previous snapshot of each table is kept as `<table>_prev`.
+// Price/stock history, the sync_runs ledger, the anomaly guardrails and connector setup
+// queries need MySQL, so they only run with the MySQL sink. Because nothing checks what a
+// postgres run publishes, --sink postgres is refused without --skip_guardrails.
+//
+// A sink is a plain object:
+//   type
+//   db                              MySQL connection (mysql sink only, otherwise null)
+//   createStaging(kind, { name, layout }, { resume })   start an empty staging copy of one table;
+//                                   with `resume`, reopen the one an interrupted run left behind
+//   insert(kind, rows)              append rows (value arrays in insertableColumns() order)
+//   discard(kind, column, ids)      delete the staged rows whose `column` is one of `ids`
+//                                   (--resume after a write that did not finish; not CSV/JSONL)
+//   publish()                       make every staged table live together
+//   close()
+//
+// Drivers are imported only when their sink is selected, so a CSV run needs neither mysql2 nor pg.
+
+export const SINK_TYPES = ['mysql', 'postgres', 'sqlite', 'csv', 'jsonl'];
+
+const SERVER_FLAGS = ['db_host', 'db_user', 'db_pass', 'db_name'];
+
+// Flags each sink needs on top of the connector's own
+export const SINK_REQUIRED = {
+    mysql: SERVER_FLAGS,
+    postgres: SERVER_FLAGS,
+    sqlite: [],
+    csv: [],
+    jsonl: []
+};
+
+export async function openSink(values) {
+    switch (values.sink) {
+        case 'mysql': return (await import('./mysql.mjs')).openMysqlSink(values);
+        case 'postgres': return (await import('./postgres.mjs')).openPostgresSink(values);
+        case 'sqlite': return (await import('./sqlite.mjs')).openSqliteSink(values);
+        case 'csv':
+        case 'jsonl': return (await import('./files.mjs')).openFileSink(values);
+        default: throw new Error(`Unknown sink "${values.sink}". Use one of: ${SINK_TYPES.join(', ')}`);
+    }
+}
@@ -0,0 +1,59 @@
+// MySQL sink: the original behaviour. Staging tables are created from the layout DDL as-is
+// and swapped live in one atomic RENAME TABLE (see staging.mjs).
+
+import mysql from 'mysql2/promise';
+import { createStagingTable, publishStagingTables } from '../staging.mjs';
+import { insertableColumns } from '../products.mjs';
+import { logger } from '../logger.mjs';
+
+const quote = (name) => `\`${name}\``;
+
+function columnsSql(layout) {
+    const lines = layout.columns.map(c => `${quote(c.name)} ${c.type}`);
+    return [...lines, ...(layout.indexes || [])].join(',\n');
+}
+
+function insertSql(table, layout) {
+    const columns = insertableColumns(layout);
+    let sql = `INSERT INTO ${quote(table)} (${columns.map(c => quote(c.name)).join(', ')}) VALUES ?`;
+    if (layout.upsert) {
+        const updates = columns.filter(c => !c.key).map(c => `${quote(c.name)}=VALUES(${quote(c.name)})`);
+        sql += ` ON DUPLICATE KEY UPDATE ${updates.join(', ')}`;
+    }
+    return sql;
+}
+
+export async function openMysqlSink(values) {
+    logger.info(`Connecting to database ${values.db_name}...`);
+    const db = await mysql.createConnection({
+        host: values.db_host, port: values.db_port ? Number(values.db_port) : undefined,
+        user: values.db_user, password: values.db_pass, database: values.db_name
+    });
+    const tables = {};
+
+    return {
+        type: 'mysql',
+        db,
+
+        async createStaging(kind, { name, layout }, { resume = false } = {}) {
+            const staging = await createStagingTable(db, name, columnsSql(layout), layout.tableOptions, { resume });
+            tables[kind] = { name, staging, sql: insertSql(staging, layout) };
+        },
+
+        async insert(kind, rows) {
+            await db.query(tables[kind].sql, [rows]);
+        },
+
+        async discard(kind, column, ids) {
+            await db.query(`DELETE FROM ${quote(tables[kind].staging)} WHERE ${quote(column)} IN (?)`, [ids]);
+        },
+
+        async publish() {
+            await publishStagingTables(db, Object.values(tables).map(t => t.name));
+        },
+
+        async close() {
+            await db.end();
+        }
+    };
+}
@@ -0,0 +1,108 @@
+// PostgreSQL sink. Same staging swap as MySQL; DDL is transactional in PostgreSQL, so the
+// renames for all tables of a run happen in one transaction.
+
+import pg from 'pg';
+import { stagingName, previousName, missingStagingError } from '../staging.mjs';
+import { insertableColumns } from '../products.mjs';
+import { logger } from '../logger.mjs';
+
+const quote = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// PostgreSQL caps a statement at 65535 bind parameters
+const MAX_PARAMETERS = 60000;
+
+// Layout types are MySQL syntax
+export function postgresType(type) {
+    return type
+        .replace(/\bBIGINT\s+AUTO_INCREMENT\b/i, 'BIGSERIAL')
+        .replace(/\bINT\s+AUTO_INCREMENT\b/i, 'SERIAL')
+        .replace(/\s+ON UPDATE CURRENT_TIMESTAMP\b/i, '')
+        .replace(/\bDATETIME\b/i, 'TIMESTAMP')
+        .replace(/\bTINYINT(\(\d+\))?/i, 'SMALLINT')
+        .replace(/\bDOUBLE\b(?!\s+PRECISION)/i, 'DOUBLE PRECISION')
+        .replace(/\s+UNSIGNED\b/i, '');
+}
+
+function createTableSql(table, layout) {
+    const lines = layout.columns.map(c => `${quote(c.name)} ${postgresType(c.type)}`);
+    const keys = layout.columns.filter(c => c.key);
+    if (keys.length > 0) lines.push(`UNIQUE (${keys.map(c => quote(c.name)).join(', ')})`);
+    return `CREATE TABLE ${quote(table)} (${lines.join(', ')})`;
+}
+
+export async function openPostgresSink(values) {
+    logger.info(`Connecting to PostgreSQL database ${values.db_name}...`);
+    const client = new pg.Client({
+        host: values.db_host, port: values.db_port ? Number(values.db_port) : undefined,
+        user: values.db_user, password: values.db_pass, database: values.db_name
+    });
+    await client.connect();
+    const tables = {};
+
+    return {
+        type: 'postgres',
+        db: null,
+
+        async createStaging(kind, { name, layout }, { resume = false } = {}) {
+            const staging = stagingName(name);
+            if (resume) {
+                const { rows } = await client.query('SELECT to_regclass($1) AS found', [quote(staging)]);
+                if (!rows[0].found) throw missingStagingError(staging);
+            } else {
+                await client.query(`DROP TABLE IF EXISTS ${quote(staging)}`);
+                await client.query(createTableSql(staging, layout));
+            }
+            tables[kind] = { name, layout, columns: insertableColumns(layout) };
+        },
+
+        async insert(kind, rows) {
+            const { name, layout, columns } = tables[kind];
+            const keyIndexes = columns.map((c, i) => c.key ? i : -1).filter(i => i >= 0);
+
+            // ON CONFLICT cannot touch the same row twice in one statement: keep the last duplicate
+            if (layout.upsert && keyIndexes.length > 0) {
+                const byKey = new Map(rows.map(row => [JSON.stringify(keyIndexes.map(i => row[i])), row]));
+                rows = [...byKey.values()];
+            }
+
+            let conflict = '';
+            if (layout.upsert && keyIndexes.length > 0) {
+                const updates = columns.filter(c => !c.key).map(c => `${quote(c.name)} = EXCLUDED.${quote(c.name)}`);
+                conflict = ` ON CONFLICT (${keyIndexes.map(i => quote(columns[i].name)).join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+            }
+
+            const chunkSize = Math.max(1, Math.floor(MAX_PARAMETERS / columns.length));
+            for (let start = 0; start < rows.length; start += chunkSize) {
+                const chunk = rows.slice(start, start + chunkSize);
+                const placeholders = chunk.map((row, r) => `(${row.map((_, c) => `$${r * columns.length + c + 1}`).join(', ')})`);
+                await client.query(
+                    `INSERT INTO ${quote(stagingName(name))} (${columns.map(c => quote(c.name)).join(', ')}) VALUES ${placeholders.join(', ')}${conflict}`,
+                    chunk.flat()
+                );
+            }
+        },
+
+        async discard(kind, column, ids) {
+            await client.query(`DELETE FROM ${quote(stagingName(tables[kind].name))} WHERE ${quote(column)} = ANY($1)`, [ids]);
+        },
+
+        async publish() {
+            await client.query('BEGIN');
+            try {
+                for (const { name } of Object.values(tables)) {
+                    await client.query(`DROP TABLE IF EXISTS ${quote(previousName(name))}`);
+                    await client.query(`ALTER TABLE IF EXISTS ${quote(name)} RENAME TO ${quote(previousName(name))}`);
+                    await client.query(`ALTER TABLE ${quote(stagingName(name))} RENAME TO ${quote(name)}`);
+                }
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+        },
+
+        async close() {
+            await client.end();
+        }
+    };
+}
@@ -0,0 +1,87 @@
+// SQLite sink: a single local database file, handy for laptop runs and for handing a supplier
+// snapshot to someone without a database server. Same staging swap as the server sinks.
+
+import Database from 'better-sqlite3';
+import { stagingName, previousName, missingStagingError } from '../staging.mjs';
+import { insertableColumns } from '../products.mjs';
+import { logger } from '../logger.mjs';
+
+const quote = (name) => `"${name.replace(/"/g, '""')}"`;
+
+export const DEFAULT_SQLITE_FILE = 'inventory.sqlite';
+
+// Layout types are MySQL syntax; SQLite accepts most of it except AUTO_INCREMENT and ON UPDATE
+export function sqliteType(type) {
+    return type
+        .replace(/\b(BIG)?INT\s+AUTO_INCREMENT\s+PRIMARY KEY\b/i, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+        .replace(/\s+ON UPDATE CURRENT_TIMESTAMP\b/i, '');
+}
+
+function createTableSql(table, layout) {
+    const lines = layout.columns.map(c => `${quote(c.name)} ${sqliteType(c.type)}`);
+    const keys = layout.columns.filter(c => c.key);
+    if (keys.length > 0) lines.push(`UNIQUE (${keys.map(c => quote(c.name)).join(', ')})`);
+    return `CREATE TABLE ${quote(table)} (${lines.join(', ')})`;
+}
+
+function insertSql(table, layout) {
+    const columns = insertableColumns(layout);
+    let sql = `INSERT INTO ${quote(table)} (${columns.map(c => quote(c.name)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+    const keys = columns.filter(c => c.key);
+    if (layout.upsert && keys.length > 0) {
+        const updates = columns.filter(c => !c.key).map(c => `${quote(c.name)} = excluded.${quote(c.name)}`);
+        sql += ` ON CONFLICT (${keys.map(c => quote(c.name)).join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+    }
+    return sql;
+}
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+const bindable = (value) => typeof value === 'boolean' ? Number(value) : value;
+
+export function openSqliteSink(values) {
+    const file = values.out || DEFAULT_SQLITE_FILE;
+    logger.info(`Opening SQLite database ${file}...`);
+    const db = new Database(file);
+    const tables = {};
+
+    return {
+        type: 'sqlite',
+        db: null,
+
+        async createStaging(kind, { name, layout }, { resume = false } = {}) {
+            const staging = stagingName(name);
+            if (resume) {
+                if (!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(staging)) throw missingStagingError(staging);
+            } else {
+                db.exec(`DROP TABLE IF EXISTS ${quote(staging)}`);
+                db.exec(createTableSql(staging, layout));
+            }
+            const statement = db.prepare(insertSql(staging, layout));
+            tables[kind] = { name, insertMany: db.transaction(rows => rows.forEach(row => statement.run(row.map(bindable)))) };
+        },
+
+        async insert(kind, rows) {
+            tables[kind].insertMany(rows);
+        },
+
+        async discard(kind, column, ids) {
+            const statement = db.prepare(`DELETE FROM ${quote(stagingName(tables[kind].name))} WHERE ${quote(column)} = ?`);
+            db.transaction(() => ids.forEach(id => statement.run(id)))();
+        },
+
+        async publish() {
+            const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`);
+            db.transaction(() => {
+                for (const { name } of Object.values(tables)) {
+                    db.exec(`DROP TABLE IF EXISTS ${quote(previousName(name))}`);
+                    if (exists.get(name)) db.exec(`ALTER TABLE ${quote(name)} RENAME TO ${quote(previousName(name))}`);
+                    db.exec(`ALTER TABLE ${quote(stagingName(name))} RENAME TO ${quote(name)}`);
+                }
+            })();
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
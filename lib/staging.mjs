@@ -0,0 +1,44 @@
+// Staging-table helpers shared by the inventory scripts.
+//
+// Every sync loads into `<table>_staging` and only swaps it live once the run has
+// completed. If a run dies halfway the live table keeps the previous snapshot, so
+// the Linnworks imports never read an empty or partial table. The snapshot that was
+// live before the swap is kept as `<table>_prev` for rollback.
+
+export const stagingName = (table) => `${table}_staging`;
+export const previousName = (table) => `${table}_prev`;
+
+// Thrown by every sink when --resume finds no staging table to continue
+export const missingStagingError = (staging) =>
+    new Error(`Cannot resume: staging table ${staging} no longer exists. Run again without --resume.`);
+
+// Drops any staging table left behind by a failed run and creates a fresh one, or with `resume`
+// keeps it to carry on loading. `columnsSql` is the column list that goes between the CREATE TABLE parentheses.
+export async function createStagingTable(db, table, columnsSql, tableOptions = '', { resume = false } = {}) {
+    const staging = stagingName(table);
+    if (resume) {
+        const [existing] = await db.query('SHOW TABLES LIKE ?', [staging]);
+        if (existing.length === 0) throw missingStagingError(staging);
+        return staging;
+    }
+    await db.query(`DROP TABLE IF EXISTS \`${staging}\``);
+    await db.query(`CREATE TABLE \`${staging}\` (${columnsSql}) ${tableOptions}`);
+    return staging;
+}
+
+// Swaps all staging tables live in one atomic RENAME TABLE, moving the current
+// live tables to `_prev`. Tables that belong together (products, options, images)
+// must be published in the same call so readers never see a mixed snapshot.
+export async function publishStagingTables(db, tables) {
+    for (const table of tables) {
+        // First run for this table: create an empty live table so the rename has something to move aside
+        await db.query(`CREATE TABLE IF NOT EXISTS \`${table}\` LIKE \`${stagingName(table)}\``);
+        await db.query(`DROP TABLE IF EXISTS \`${previousName(table)}\``);
+    }
+
+    const renames = tables.flatMap(table => [
+        `\`${table}\` TO \`${previousName(table)}\``,
+        `\`${stagingName(table)}\` TO \`${table}\``
+    ]);
+    await db.query(`RENAME TABLE ${renames.join(', ')}`);
+}
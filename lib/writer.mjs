@@ -0,0 +1,75 @@
+// Single writer for every connector: loads normalized records into the staging tables of the
+// selected sink, records the price/stock history and swaps the snapshot live at the end of the run.
+
+import crypto from 'crypto';
+import { recordChanges } from './history.mjs';
+import { checkGuardrails } from './guardrails.mjs';
+import { insertableColumns } from './products.mjs';
+import { logger } from './logger.mjs';
+
+// `tables` maps a logical name to `{ name, layout }`. The `products` entry is required
+// and receives one row per record; other entries expand each record via `layout.expand`.
+// A `standalone` layout only receives the rows the connector passes for it (see connector.mjs).
+export function createProductWriter(sink, tables) {
+    const counts = Object.fromEntries(Object.keys(tables).map(kind => [kind, 0]));
+
+    return {
+        counts,
+
+        // `resume` keeps the staging tables of an interrupted run and appends to them;
+        // `counts` are the rows it staged, so the counts cover the whole snapshot
+        async prepare({ resume = false, counts: staged = {} } = {}) {
+            for (const [kind, table] of Object.entries(tables)) {
+                logger.info(`${resume ? 'Reopening' : 'Setting up'} staging table for \`${table.name}\`...`);
+                await sink.createStaging(kind, table, { resume });
+                if (resume) counts[kind] += staged[kind] || 0;
+            }
+        },
+
+        async write(records, standaloneRows = {}) {
+            for (const record of records) {
+                if (!record.uuid) record.uuid = crypto.randomUUID();
+            }
+
+            for (const [kind, { layout }] of Object.entries(tables)) {
+                const items = layout.standalone ? (standaloneRows[kind] || []) : (layout.expand ? records.flatMap(layout.expand) : records);
+                if (items.length === 0) continue;
+
+                const rows = items.map(item => insertableColumns(layout).map(c => c.value(item) ?? null));
+                await sink.insert(kind, rows);
+                counts[kind] += rows.length;
+            }
+        },
+
+        // Removes what an interrupted write left in staging before a resumed run writes it again:
+        // the records with these uuids, their child rows, and the standalone rows with these ids.
+        // The counts are not touched: `prepare` was given the counts from before that write.
+        async discard({ records = [], rows = {} }) {
+            for (const [kind, { layout }] of Object.entries(tables)) {
+                const ids = layout.standalone ? (rows[kind] || []) : records;
+                const owner = layout.columns.find(c => c.owner);
+                if (ids.length > 0 && owner) await sink.discard(kind, owner.name, ids);
+            }
+        },
+
+        // Tripped guardrails for the staged products (see guardrails.mjs).
+        // Returns null when the sink has no live table to compare with (everything but MySQL).
+        async checkGuardrails(limits) {
+            if (!sink.db) return null;
+            const { name, layout } = tables.products;
+            return checkGuardrails(sink.db, { table: name, columns: layout.history, limits });
+        },
+
+        // Compares the staged products with the live table before they replace it.
+        // Returns null when the sink keeps no history (everything but MySQL).
+        async recordHistory({ runId, supplier }) {
+            if (!sink.db) return null;
+            const { name, layout } = tables.products;
+            return recordChanges(sink.db, { runId, supplier, table: name, columns: layout.history });
+        },
+
+        async publish() {
+            await sink.publish();
+        }
+    };
+}
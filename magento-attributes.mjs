@@ -0,0 +1,5 @@
+// Command-line entry point; the code lives in jobs/magento-attributes.mjs (also exported by index.mjs)
+import { runJob } from './lib/job.mjs';
+import { magentoAttributesJob } from './jobs/magento-attributes.mjs';
+
+runJob(magentoAttributesJob);
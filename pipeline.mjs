@@ -0,0 +1,41 @@
+import { parseArgs } from 'util';
+import { loadPipeline, runPipeline } from './lib/pipeline.mjs';
+import { logger } from './lib/logger.mjs';
+
+// --- 1. PARAMETER PARSING ---
+const { values } = parseArgs({
+    options: {
+        pipeline: { type: 'string', default: 'pipeline.json' }, // see pipeline.example.json
+    },
+    strict: true
+});
+
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// --- 2. MAIN EXECUTION ---
+async function main() {
+    try {
+        const pipeline = await loadPipeline(values.pipeline);
+        logger.info(`Running pipeline ${values.pipeline} (${pipeline.steps.length} steps)...\n`);
+
+        const startedAt = Date.now();
+        const results = await runPipeline(pipeline);
+
+        logger.info(`\n--- Pipeline summary (${formatDuration(Date.now() - startedAt)}) ---`);
+        const width = Math.max(...results.map(r => r.name.length));
+        for (const result of results) {
+            logger.info(`${result.name.padEnd(width)}  ${formatDuration(result.durationMs).padStart(8)}  ${result.outcome}`);
+        }
+
+        if (results.some(r => r.outcome !== 'succeeded')) process.exitCode = 1;
+
+    } catch (error) {
+        logger.error('\n❌ Pipeline failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
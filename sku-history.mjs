@@ -0,0 +1,69 @@
+import mysql from 'mysql2/promise';
+import { parseFlags, resolveOptions } from './lib/options.mjs';
+import { loadRegistry, resolveDbProfile, registryPathFor } from './lib/registry.mjs';
+import { logger } from './lib/logger.mjs';
+import { getSkuTimeline } from './lib/history.mjs';
+
+// --- 1. PARAMETER PARSING ---
+const OPTIONS = {
+    sku: { type: 'string' },
+    supplier: { type: 'string' }, // Registry entry whose database profile is read
+    config: { type: 'string' },   // Supplier registry file, defaults to ./suppliers.json when present
+    db_host: { type: 'string' },
+    db_user: { type: 'string' },
+    db_pass: { type: 'string', secret: true },
+    db_name: { type: 'string' }
+};
+
+// Unknown flags are rejected and the database comes from the flags or the supplier's db profile,
+// as for the connectors; secrets come from the environment, .env or secret files first
+async function resolveHistoryOptions() {
+    const cli = parseFlags(OPTIONS);
+    let fromRegistry = {};
+    const registryPath = registryPathFor(cli);
+    if (cli.supplier && registryPath) {
+        fromRegistry = resolveDbProfile(await loadRegistry(registryPath), cli.supplier);
+    }
+    return resolveOptions(OPTIONS, cli, {
+        fromRegistry, fromCommandLine: cli, scope: cli.supplier, required: ['sku', 'db_host', 'db_user', 'db_pass', 'db_name']
+    });
+}
+
+// --- 2. MAIN EXECUTION ---
+async function main() {
+    let values;
+    try {
+        values = await resolveHistoryOptions();
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    let db;
+    try {
+        db = await mysql.createConnection({
+            host: values.db_host, user: values.db_user, password: values.db_pass, database: values.db_name
+        });
+
+        const timeline = await getSkuTimeline(db, values.sku);
+        if (timeline.length === 0) {
+            logger.info(`No recorded changes for SKU "${values.sku}".`);
+            return;
+        }
+
+        logger.info(`Timeline for SKU "${values.sku}" (${timeline.length} changes):\n`);
+        for (const change of timeline) {
+            const when = new Date(change.changed_at).toISOString();
+            logger.info(`${when}  ${change.supplier.padEnd(20)} ${change.field.padEnd(7)} ${change.old_value ?? '—'} → ${change.new_value ?? '—'}`);
+        }
+
+    } catch (error) {
+        logger.error('\n❌ Script failed:', error.message);
+        // Not process.exit(): the connection is still closed below
+        process.exitCode = 1;
+    } finally {
+        if (db) await db.end();
+    }
+}
+
+main();
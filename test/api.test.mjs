@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, createWorkspace, readTable } from './helpers.mjs';
+import { syncB2BWave, runLinnworksJob, fetchB2BWavePage, createHttpClient, EXIT_OK, EXIT_FAILURE } from '../index.mjs';
+
+// Unlike the other suites these call the library in-process, as a Node service would
+
+const AUTH = 'Basic ' + Buffer.from('buyer@example.com:api-token-123').toString('base64');
+
+async function b2bwaveServer() {
+    return startMockServer((req) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.headers.authorization !== AUTH) return { status: 401, body: { error: 'Unauthorized' } };
+        const offset = Number(url.searchParams.get('offset'));
+        const catalog = [
+            { id: 1, code: 'B2B-1', name: 'Product 1', price: '4.20', quantity: '3.0' },
+            { id: 2, code: 'B2B-2', name: 'Product 2', price: '5.00', quantity: '0.0' },
+            { id: 3, code: 'B2B-3', name: 'Product 3', price: '6.00', quantity: '1.0' }
+        ];
+        return { body: { pagination: { total: catalog.length, limit: 2, offset }, data: catalog.slice(offset, offset + 2) } };
+    });
+}
+
+test('api: syncB2BWave takes an options object and resolves with counts', async (t) => {
+    const server = await b2bwaveServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const result = await syncB2BWave({
+        url: server.url, b_email: 'buyer@example.com', b_token: 'api-token-123',
+        price_currency: 'GBP', price_vat: 'ex', db_table: 'B2BWave', sink: 'sqlite', out: ws.database, http_retries: 0
+    });
+
+    assert.equal(result.outcome, 'succeeded');
+    assert.equal(result.exitStatus, EXIT_OK);
+    assert.equal(result.pagesFetched, 2);
+    assert.deepEqual(result.rows, { products: 3 });
+    assert.equal(result.rowsWritten, 3);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.errorMessage, null);
+    assert.equal(readTable(ws.database, 'B2BWave').length, 3);
+});
+
+test('api: a dry run counts rows without writing them', async (t) => {
+    const server = await b2bwaveServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const result = await syncB2BWave({
+        url: server.url, b_email: 'buyer@example.com', b_token: 'api-token-123',
+        price_currency: 'GBP', price_vat: 'ex', db_table: 'B2BWave', sink: 'sqlite', out: ws.database, 'dry-run': true
+    });
+    assert.equal(result.outcome, 'succeeded');
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.rows, { products: 3 });
+    assert.equal(result.rowsWritten, 0);
+});
+
+test('api: a failing run is reported in the result, invalid options throw', async (t) => {
+    const server = await b2bwaveServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const result = await syncB2BWave({
+        url: server.url, b_email: 'buyer@example.com', b_token: 'revoked-token',
+        price_currency: 'GBP', price_vat: 'ex', db_table: 'B2BWave', sink: 'sqlite', out: ws.database
+    });
+    assert.equal(result.outcome, 'failed');
+    assert.equal(result.exitStatus, EXIT_FAILURE);
+    assert.match(result.errorMessage, /API fetch failed: 401/);
+
+    await assert.rejects(syncB2BWave({ url: server.url, db_tabel: 'B2BWave' }), /Unknown option "db_tabel"/);
+    await assert.rejects(syncB2BWave({ url: server.url, b_email: 'buyer@example.com', b_token: 'x', sink: 'sqlite' }), /Missing required parameter: --db_table/);
+    // Nothing would check what a postgres run publishes
+    await assert.rejects(
+        syncB2BWave({ url: server.url, b_email: 'buyer@example.com', b_token: 'x', db_table: 'B2BWave', sink: 'postgres' }),
+        /--sink postgres has no anomaly guardrails or price\/stock history: pass --skip_guardrails/
+    );
+});
+
+test('api: the page fetchers can be reused with any HTTP client', async (t) => {
+    const server = await b2bwaveServer();
+    t.after(() => server.close());
+
+    const page = await fetchB2BWavePage(createHttpClient({ retries: 0 }), server.url, AUTH, 2);
+    assert.deepEqual(page.data.map(item => item.code), ['B2B-3']);
+});
+
+test('api: runLinnworksJob resolves with the job it ran', async (t) => {
+    let server;
+    server = await startMockServer((req) => {
+        const url = new URL(req.url, 'http://localhost');
+        switch (url.pathname) {
+            case '/api/Auth/AuthorizeByApplication': return { body: { Token: 'session', Server: server.url } };
+            case '/api/ImportExport/GetImportList': return { body: { register: [{ Id: 7, FriendlyName: 'Stock', Enabled: true }] } };
+            case '/api/ImportExport/RunNowImport': return { body: '' };
+            case '/api/ImportExport/GetImport': return { body: { Register: { IsQueued: false, Executing: false } } };
+        }
+        return null;
+    });
+    t.after(() => server.close());
+
+    const result = await runLinnworksJob({
+        app_id: 'app', app_secret: 'secret', token: 'install-token', type: 'import', job_name: 'Stock',
+        auth_url: server.url, poll_interval: 0
+    });
+    assert.equal(result.outcome, 'succeeded');
+    assert.equal(result.exitStatus, EXIT_OK);
+    assert.equal(result.jobId, 7);
+    assert.match(result.runId, /^[0-9a-f-]{36}$/);
+
+    await assert.rejects(runLinnworksJob({ app_id: 'app', app_secret: 'secret', token: 't', type: 'sync', job_name: 'Stock' }), /must be either "import" or "export"/);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import { startMockServer, runScript, createWorkspace, readTable, FAST_HTTP } from './helpers.mjs';
+
+const AUTH = 'Basic ' + Buffer.from('buyer@example.com:api-token-123').toString('base64');
+
+const product = (n, fields = {}) => ({
+    id: 900 + n, code: `B2B-${n}`, name: `Product ${n}`, price: '4.20', quantity: '701.0',
+    category_path: 'Batteries/Motorcycle', ...fields
+});
+
+// `catalog` is served `limit` items at a time through ?offset=
+async function b2bwaveServer(catalog, { limit = 2, rateLimitOffset = null } = {}) {
+    let rateLimited = false;
+    return startMockServer((req) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api_customer/products') return null;
+        if (req.headers.authorization !== AUTH) return { status: 401, body: { error: 'Unauthorized' } };
+
+        const offset = Number(url.searchParams.get('offset'));
+        if (offset === rateLimitOffset && !rateLimited) {
+            rateLimited = true;
+            return { status: 429, headers: { 'Retry-After': '1' }, body: 'Too many requests' };
+        }
+        return { body: { pagination: { total: catalog.length, limit, offset }, data: catalog.slice(offset, offset + limit) } };
+    });
+}
+
+const b2bwaveArgs = (server, ws) => [
+    '--url', `${server.url}/`, '--b_email', 'buyer@example.com', '--b_token', 'api-token-123',
+    '--db_table', 'B2BWave', '--sink', 'sqlite', '--out', ws.database, '--price_currency', 'GBP', '--price_vat', 'ex', ...FAST_HTTP
+];
+
+test('b2bwave: walks the offsets to a partial last page and maps every column', async (t) => {
+    const catalog = [
+        product(1),
+        product(2, { quantity: '0.0' }),
+        product(3, { price: null, quantity: null, category_path: null }),
+        product(4),
+        product(5)
+    ];
+    const server = await b2bwaveServer(catalog, { rateLimitOffset: 2 });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('b2bwave-inventory.mjs', b2bwaveArgs(server, ws), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /retry 1\/2 in 1\.0s \(Retry-After\)/);
+
+    const offsets = server.requests.map(r => new URL(r.url, 'http://localhost').searchParams.get('offset'));
+    assert.deepEqual(offsets, ['0', '2', '2', '4']);
+
+    const rows = readTable(ws.database, 'B2BWave');
+    assert.deepEqual(rows.map(r => r.Sku), ['B2B-1', 'B2B-2', 'B2B-3', 'B2B-4', 'B2B-5']);
+
+    const [first, outOfStock, bare] = rows;
+    assert.equal(first.Id, '901');
+    assert.equal(first.Name, 'Product 1');
+    assert.equal(first.Price, 4.2);
+    assert.equal(first.Only_x_left_in_stock, 701);
+    assert.equal(first.Status, 'IN_STOCK');
+    assert.equal(first['Type id'], 'simple');
+    assert.equal(first.Category_Names, 'Batteries/Motorcycle');
+    // B2BWave has no category IDs: NULL, as the original script wrote
+    assert.equal(first.Category_IDs, null);
+
+    assert.equal(outOfStock.Status, 'OUT_OF_STOCK');
+    assert.equal(outOfStock.Only_x_left_in_stock, 0);
+
+    assert.equal(bare.Price, 0);
+    assert.equal(bare.Only_x_left_in_stock, 0);
+    assert.equal(bare.Category_Names, '');
+    assert.equal(bare.Category_IDs, null);
+});
+
+test('b2bwave: a catalog that is an exact multiple of the page size stops after the last page', async (t) => {
+    const server = await b2bwaveServer([product(1), product(2), product(3), product(4)]);
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('b2bwave-inventory.mjs', b2bwaveArgs(server, ws), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(server.requests.length, 2);
+    assert.equal(readTable(ws.database, 'B2BWave').length, 4);
+});
+
+test('b2bwave: an empty catalog publishes an empty table after one request', async (t) => {
+    const server = await b2bwaveServer([]);
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('b2bwave-inventory.mjs', b2bwaveArgs(server, ws), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(readTable(ws.database, 'B2BWave'), []);
+});
+
+test('b2bwave: a rejected token fails the run', async (t) => {
+    const server = await b2bwaveServer([product(1)]);
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const args = b2bwaveArgs(server, ws);
+    args[args.indexOf('--b_token') + 1] = 'revoked-token';
+    const run = await runScript('b2bwave-inventory.mjs', args, { cwd: ws.dir });
+
+    assert.equal(run.code, 1);
+    assert.match(run.output, /API fetch failed: 401/);
+});
+
+test('b2bwave: --price_currency and --price_vat convert the prices to GBP with the rates in effect', async (t) => {
+    const server = await b2bwaveServer([product(1, { price: '12.00' }), product(2, { price: null })]);
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    await writeFile(ws.path('fx.json'), JSON.stringify({
+        vat: [{ rate: 20, effective_from: '2011-01-04' }],
+        fx: [
+            { currency: 'EUR', gbp_per_unit: 0.9, effective_from: '2020-01-01' },
+            { currency: 'EUR', gbp_per_unit: 0.85, effective_from: '2024-01-01' },
+            { currency: 'EUR', gbp_per_unit: 0.5, effective_from: '2999-01-01' }
+        ]
+    }));
+
+    const run = await runScript('b2bwave-inventory.mjs', [...b2bwaveArgs(server, ws), '--price_currency', 'eur', '--price_vat', 'inc', '--rates', ws.path('fx.json')], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    const [priced, unpriced] = readTable(ws.database, 'B2BWave');
+    assert.deepEqual(
+        [priced.Price, priced.Currency, priced.Vat_basis, priced.Price_GBP_ex_VAT, priced.Price_GBP_inc_VAT],
+        [12, 'EUR', 'inc', 8.5, 10.2]
+    );
+    assert.deepEqual([unpriced.Currency, unpriced.Price_GBP_ex_VAT, unpriced.Price_GBP_inc_VAT], ['EUR', null, null]);
+
+    // A currency missing from the table is a warning and leaves the GBP prices empty
+    const usd = await runScript('b2bwave-inventory.mjs', [...b2bwaveArgs(server, ws), '--price_currency', 'USD', '--price_vat', 'ex', '--rates', ws.path('fx.json')], { cwd: ws.dir });
+    assert.equal(usd.code, 0, usd.output);
+    assert.match(usd.output, /⚠️  No USD to GBP rate in effect on \d{4}-\d{2}-\d{2} in .*fx\.json/);
+    assert.equal(readTable(ws.database, 'B2BWave')[0].Price_GBP_ex_VAT, null);
+});
+
+test('b2bwave: an invalid rate table or price basis fails before fetching', async (t) => {
+    const server = await b2bwaveServer([product(1)]);
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    await writeFile(ws.path('bad.json'), JSON.stringify({ vat: [{ rate: '20%', effective_from: '4 Jan 2011' }], fx: {} }));
+
+    const badTable = await runScript('b2bwave-inventory.mjs', [...b2bwaveArgs(server, ws), '--rates', ws.path('bad.json')], { cwd: ws.dir });
+    assert.equal(badTable.code, 1);
+    assert.match(badTable.output, /Invalid rate table .*bad\.json:/);
+    assert.match(badTable.output, /vat\[0\]\.effective_from must be a YYYY-MM-DD date/);
+    assert.match(badTable.output, /vat\[0\]\.rate must be a percentage/);
+    assert.match(badTable.output, /fx must be a list/);
+
+    const badBasis = await runScript('b2bwave-inventory.mjs', [...b2bwaveArgs(server, ws), '--price_vat', 'gross'], { cwd: ws.dir });
+    assert.equal(badBasis.code, 1);
+    assert.match(badBasis.output, /--price_vat must be "ex" or "inc", got "gross"/);
+
+    assert.equal(server.requests.length, 0);
+});
+
+test('b2bwave: without --price_currency and --price_vat the prices are taken as GBP of unknown VAT basis', async (t) => {
+    const server = await b2bwaveServer([product(1, { price: '12.00' })]);
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    // Cron lines from before the price basis flags keep working, with a warning for each
+    const args = b2bwaveArgs(server, ws).filter((arg, i, all) => !arg.startsWith('--price_') && !all[i - 1]?.startsWith('--price_'));
+    const run = await runScript('b2bwave-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /⚠️  B2BWave prices do not say their currency: assuming GBP/);
+    assert.match(run.output, /⚠️  B2BWave prices do not say whether they include VAT: the VAT basis is recorded as unknown/);
+
+    const [row] = readTable(ws.database, 'B2BWave');
+    assert.deepEqual([row.Price, row.Currency, row.Vat_basis, row.Price_GBP_ex_VAT, row.Price_GBP_inc_VAT], [12, 'GBP', null, null, null]);
+});
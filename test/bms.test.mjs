@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, runScript, createWorkspace, readTable, FAST_HTTP } from './helpers.mjs';
+
+const SESSION_COOKIE = '_bms_session=signed-in';
+
+const page = (body) => `<!DOCTYPE html><html><head><title>BMS</title></head><body>${body}</body></html>`;
+
+const SIGN_IN = page(`
+    <form action="/customers/sign_in" method="post">
+        <input id="customer_email" name="email" type="email">
+        <input id="customer_password" name="password" type="password">
+        <input type="submit" name="commit" value="Log in">
+    </form>`);
+
+const tableRow = ({ title, code, price, qty = '', max = null }) => `
+    <tr>
+        <td class="product-title"><a href="#">${title}</a><a href="#">${title}</a></td>
+        <td class="line-item code"><a href="#">Code: ${code}</a></td>
+        <td class="price-col"><span class="price" data-price="${price}">£${price}</span></td>
+        <td class="avl-qty">${qty}</td>
+        <td>${max === null ? '' : `<input name="quantity" type="number" max="${max}">`}</td>
+    </tr>
+    <tr class="second-row"><td class="product-title"><a href="#">Accessory row</a></td></tr>`;
+
+const card = ({ title, code, price, stock }) => `
+    <div class="card-product">
+        <a class="card-product-title" href="#">${title}</a>
+        <span class="product-code">SKU: ${code}</span>
+        <span class="price">£${price}</span>
+        <span class="in-stock">${stock} in stock</span>
+    </div>`;
+
+// Varta is in the brand directory and spans two listing pages, Yuasa is only found by the
+// search fallback (card layout) and Bosch has no products at all
+async function bmsServer() {
+    return startMockServer((req, body) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/customers/sign_in' && req.method === 'GET') return { body: SIGN_IN };
+        if (url.pathname === '/customers/sign_in' && req.method === 'POST') {
+            const form = new URLSearchParams(body);
+            if (form.get('email') !== 'buyer@example.com' || form.get('password') !== 'bms-password') return { body: SIGN_IN };
+            return { status: 302, headers: { 'Location': '/dashboard', 'Set-Cookie': `${SESSION_COOKIE}; Path=/` }, body: '' };
+        }
+        if (url.pathname === '/dashboard') return { body: page('<h1>Welcome back</h1>') };
+
+        if (!(req.headers.cookie || '').includes(SESSION_COOKIE)) return { status: 302, headers: { 'Location': '/customers/sign_in' }, body: '' };
+
+        if (url.pathname === '/products/list' && url.searchParams.get('category') === '7') {
+            return { body: page('<a class="card-product-title" href="/products/list?category=21">Varta</a>') };
+        }
+        if (url.pathname === '/products/list' && url.searchParams.get('category') === '21') {
+            if (url.searchParams.get('page') === '2') {
+                return { body: page(`<table class="preferred-products"><tbody>${tableRow({ title: 'Varta F18', code: 'VAR-F18', price: '120.00', max: 3 })}</tbody></table>`) };
+            }
+            return {
+                body: page(`
+                    <table class="preferred-products"><tbody>
+                        ${tableRow({ title: 'Varta E11', code: 'VAR-E11', price: '89.50', qty: '12' })}
+                        ${tableRow({ title: 'Varta E39', code: 'VAR-E39', price: '99.00', qty: '0' })}
+                    </tbody></table>
+                    <div class="pagination"><a rel="next" href="/products/list?category=21&per_page=96&page=2">Next</a></div>`)
+            };
+        }
+        if (url.pathname === '/products/search_list') {
+            if (url.searchParams.get('search') === 'Yuasa') {
+                return { body: page(card({ title: 'Yuasa YBX3019', code: 'YUA-3019', price: '45.00', stock: 4 })) };
+            }
+            return { body: page('<div class="alert alert-danger">There are no products available</div>') };
+        }
+        return null;
+    });
+}
+
+test('bms: signs in, follows listing pagination and the search fallback, and maps both layouts', async (t) => {
+    const server = await bmsServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('bms-inventory.mjs', [
+        '--url', server.url, '--b_email', 'buyer@example.com', '--b_pass', 'bms-password',
+        '--brands', 'Varta, Yuasa, Bosch', '--db_table', 'BMS', '--price_vat', 'ex', '--sink', 'sqlite', '--out', ws.database, ...FAST_HTTP
+    ], { cwd: ws.dir, timeoutMs: 120000 });
+    assert.equal(run.code, 0, run.output);
+
+    const rows = readTable(ws.database, 'BMS').sort((a, b) => a.Sku.localeCompare(b.Sku));
+    assert.deepEqual(
+        rows.map(r => [r.BrandName, r.Sku, r.Name, r.Price, r.Only_x_left_in_stock, r.Status]),
+        [
+            ['Varta', 'VAR-E11', 'Varta E11', 89.5, 12, 'IN_STOCK'],
+            ['Varta', 'VAR-E39', 'Varta E39', 99, 0, 'OUT_OF_STOCK'],
+            ['Varta', 'VAR-F18', 'Varta F18', 120, 3, 'IN_STOCK'],
+            ['Yuasa', 'YUA-3019', 'Yuasa YBX3019', 45, 4, 'IN_STOCK']
+        ]
+    );
+    assert.deepEqual([rows[0].Currency, rows[0].Vat_basis], ['GBP', 'ex']);
+
+    // Listing pages are only fetched with the session cookie from the browser login
+    const listings = server.requests.filter(r => r.url.startsWith('/products/'));
+    assert.ok(listings.length >= 4);
+    for (const request of listings) assert.ok(request.headers.cookie.includes(SESSION_COOKIE), request.url);
+});
+
+test('bms: a failed sign-in fails the run before any listing is fetched', async (t) => {
+    const server = await bmsServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('bms-inventory.mjs', [
+        '--url', server.url, '--b_email', 'buyer@example.com', '--b_pass', 'expired-password',
+        '--brands', 'Varta', '--db_table', 'BMS', '--price_vat', 'ex', '--sink', 'sqlite', '--out', ws.database, ...FAST_HTTP
+    ], { cwd: ws.dir, timeoutMs: 120000 });
+
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Login failed/);
+    assert.ok(!server.requests.some(r => r.url.startsWith('/products/')));
+});
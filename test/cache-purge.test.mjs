@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, runScript, createWorkspace } from './helpers.mjs';
+
+// --- Cloudways ---
+async function cloudwaysServer() {
+    return startMockServer((req, body) => {
+        const form = new URLSearchParams(body);
+        if (req.url === '/v1/oauth/access_token') {
+            if (form.get('email') !== 'ops@example.com' || form.get('api_key') !== 'cw-api-key') {
+                return { status: 401, body: { error: 'invalid_credentials' } };
+            }
+            return { body: { access_token: 'cw-bearer', token_type: 'Bearer', expires_in: 3600 } };
+        }
+        if (req.headers.authorization !== 'Bearer cw-bearer') return { status: 401, body: { error: 'unauthorized' } };
+
+        if (req.method === 'GET' && req.url === '/v2/server') {
+            return { body: { status: true, servers: [{ id: '1001', label: 'Staging' }, { id: '1002', label: 'Vision_HP' }] } };
+        }
+        if (req.method === 'POST' && req.url === '/v2/service/varnish') return { body: { status: true } };
+        if (req.method === 'POST' && req.url === '/v2/server/restart') return { body: { status: true, operation_id: 55 } };
+        return null;
+    });
+}
+
+const cloudwaysArgs = (server, ...extra) => ['--email', 'ops@example.com', '--api_key', 'cw-api-key', '--api_url', server.url, ...extra];
+
+test('cloudways: finds the server by label and purges Varnish', async (t) => {
+    const server = await cloudwaysServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear_cloudways.mjs', cloudwaysArgs(server), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Found Server ID: 1002/);
+
+    const purge = server.requests.find(r => r.url === '/v2/service/varnish');
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(purge.body)), { server_id: '1002', action: 'purge' });
+});
+
+test('cloudways: restart_server restarts the labelled server', async (t) => {
+    const server = await cloudwaysServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear_cloudways.mjs', cloudwaysArgs(server, '--action', 'restart_server', '--server_label', 'Staging'), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    const restart = server.requests.find(r => r.url === '/v2/server/restart');
+    assert.equal(new URLSearchParams(restart.body).get('server_id'), '1001');
+});
+
+test('cloudways: dry run resolves the server without purging', async (t) => {
+    const server = await cloudwaysServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear_cloudways.mjs', cloudwaysArgs(server, '--dry-run'), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /would purge Varnish on server 1002/);
+    assert.ok(!server.requests.some(r => r.url === '/v2/service/varnish'));
+});
+
+test('cloudways: an unknown flag such as --dryrun fails before any request', async (t) => {
+    const server = await cloudwaysServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear_cloudways.mjs', cloudwaysArgs(server, '--dryrun'), { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Unknown option '--dryrun'/);
+    assert.match(run.output, /Valid flags: .*--dry-run/);
+    assert.equal(server.requests.length, 0);
+});
+
+test('cloudways: an unknown label fails and lists the available servers', async (t) => {
+    const server = await cloudwaysServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear_cloudways.mjs', cloudwaysArgs(server, '--server_label', 'Production'), { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Available servers: Staging, Vision_HP/);
+});
+
+// --- Sucuri ---
+async function sucuriServer({ clearStatus = 200 } = {}) {
+    return startMockServer((req, body) => {
+        if (req.url !== '/api?v2') return null;
+        const form = new URLSearchParams(body);
+        if (form.get('k') !== 'sucuri-key' || form.get('s') !== 'sucuri-secret') {
+            return { body: { status: 0, messages: ['Invalid API key or secret'] } };
+        }
+        if (form.get('a') === 'show_settings') return { body: { status: 1, output: { domain: 'example.com' } } };
+        if (form.get('a') === 'clear_cache') {
+            return clearStatus === 200
+                ? { body: 'OK: The cache for example.com has been cleared.' }
+                : { status: clearStatus, body: 'Internal error' };
+        }
+        return null;
+    });
+}
+
+const sucuriArgs = (server, ...extra) => ['--api_key', 'sucuri-key', '--api_secret', 'sucuri-secret', '--api_url', `${server.url}/api?v2`, ...extra];
+
+test('sucuri: clears the cache with the form-encoded key pair', async (t) => {
+    const server = await sucuriServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear-sucuri.mjs', sucuriArgs(server), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Sucuri global cache has been cleared/);
+    assert.equal(new URLSearchParams(server.requests[0].body).get('a'), 'clear_cache');
+});
+
+test('sucuri: an API error exits non-zero', async (t) => {
+    const server = await sucuriServer({ clearStatus: 500 });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('clear-sucuri.mjs', sucuriArgs(server), { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Sucuri API Error: 500/);
+});
+
+test('sucuri: dry run checks the keys with a read-only call', async (t) => {
+    const server = await sucuriServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const ok = await runScript('clear-sucuri.mjs', sucuriArgs(server, '--dry-run'), { cwd: ws.dir });
+    assert.equal(ok.code, 0, ok.output);
+    assert.equal(new URLSearchParams(server.requests[0].body).get('a'), 'show_settings');
+
+    const rejected = await runScript('clear-sucuri.mjs', ['--api_key', 'sucuri-key', '--api_secret', 'wrong-secret', '--api_url', `${server.url}/api?v2`, '--dry-run'], { cwd: ws.dir });
+    assert.equal(rejected.code, 1);
+    assert.match(rejected.output, /Sucuri rejected the credentials: Invalid API key or secret/);
+    assert.ok(!server.requests.some(r => new URLSearchParams(r.body).get('a') === 'clear_cache'));
+});
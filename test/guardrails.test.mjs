@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGuardrails, guardrailLimitsFrom } from '../lib/guardrails.mjs';
+
+const DEFAULT_LIMITS = guardrailLimitsFrom({});
+const snapshot = (prices) => Object.entries(prices).map(([sku, price]) => ({ sku, price, qty: '1', status: '1' }));
+const evaluate = (live, staged, limits = DEFAULT_LIMITS) =>
+    evaluateGuardrails({ liveRows: live.length, stagedRows: staged.length, live, staged }, limits);
+
+test('guardrails: a similar snapshot passes', () => {
+    const live = snapshot({ A: '10.00', B: '20.00', C: '30.00', D: '40.00' });
+    const staged = snapshot({ A: '10.00', B: '21.00', C: '30.00', D: '40.00', E: '50.00' });
+
+    const result = evaluate(live, staged);
+    assert.deepEqual(result.problems, []);
+    assert.equal(result.common, 4);
+    assert.equal(result.priceChanges, 25);
+    assert.equal(result.liveMedian, 25);
+    assert.equal(result.stagedMedian, 30);
+});
+
+test('guardrails: a near-empty catalog trips the row drop limit', () => {
+    const live = snapshot({ A: '1', B: '2', C: '3', D: '4', E: '5' });
+    const { problems } = evaluate(live, [live[1], live[3]]);
+    assert.deepEqual(problems, ['row count dropped 60.0% (5 → 2), limit 50%']);
+
+    // 0 disables the check
+    assert.deepEqual(evaluate(live, [live[1], live[3]], { ...DEFAULT_LIMITS, maxRowDrop: 0 }).problems, []);
+});
+
+test('guardrails: guest (RRP) prices trip the price change and median shift limits', () => {
+    const live = snapshot({ A: '10.00', B: '20.00', C: '30.00' });
+    const staged = snapshot({ A: '15.00', B: '30.00', C: '30.00' });
+
+    const { problems } = evaluate(live, staged);
+    assert.deepEqual(problems, [
+        'price changed for 66.7% of SKUs (2 of 3), limit 50%',
+        'median price moved by a factor of 1.50 (20 → 30), limit 1.3'
+    ]);
+
+    // Prices of 0 are left out of the median, and equal prices in another format are not a change
+    assert.deepEqual(evaluate(snapshot({ A: '0', B: '10.00' }), snapshot({ A: '0.00', B: '10' })).problems, []);
+});
+
+test('guardrails: limits are validated', () => {
+    assert.deepEqual(DEFAULT_LIMITS, { maxRowDrop: 50, maxPriceChanges: 50, maxMedianShift: 1.3 });
+    assert.throws(() => guardrailLimitsFrom({ max_row_drop: '-1' }), /--max_row_drop must be a non-negative number/);
+    assert.throws(() => guardrailLimitsFrom({ max_median_shift: '0.5' }), /--max_median_shift is a factor/);
+});
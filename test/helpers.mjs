@@ -0,0 +1,116 @@
+// Shared harness for the offline test suite.
+//
+// Every script is run as a child process, exactly as cron or the pipeline runs it, against a
+// local stand-in server on 127.0.0.1. Connectors write to a throwaway SQLite database in a
+// temp directory (--sink sqlite), so no MySQL server or supplier account is needed.
+//
+// Run with:  node --test test/
+// The suite needs the scripts' own dependencies installed (better-sqlite3 for the throwaway
+// database; puppeteer with its Chromium for the BMS and Shopify tests).
+
+import http from 'node:http';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+
+export const REPO_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Fast retries so the 429/5xx tests do not wait for the production backoff
+export const FAST_HTTP = ['--http_retries', '2', '--http_backoff', '10', '--http_timeout', '5'];
+
+// `handler(req, body)` returns `{ status, headers, body }`; objects are sent as JSON, Buffers raw.
+// Every request is recorded in `requests` as `{ method, url, headers, body }`.
+export async function startMockServer(handler) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const body = Buffer.concat(chunks).toString();
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+        try {
+            const reply = (await handler(req, body)) || { status: 404, body: 'Not found' };
+            const isJson = reply.body !== undefined && typeof reply.body !== 'string' && !Buffer.isBuffer(reply.body);
+            res.writeHead(reply.status || 200, {
+                'Content-Type': isJson ? 'application/json' : 'text/html; charset=utf-8',
+                ...reply.headers
+            });
+            res.end(isJson ? JSON.stringify(reply.body) : reply.body);
+        } catch (error) {
+            res.writeHead(500);
+            res.end(error.stack);
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+const puppeteerEnv = () => Object.fromEntries(Object.entries(process.env).filter(([key]) => key.startsWith('PUPPETEER_')));
+
+// Runs a root script with the given flags. Resolves with the exit code and the captured output.
+// Secrets are passed as flags on purpose: the environment is cleared of anything that could
+// override them (e.g. a developer's MAGENTO_M_PASS). PUPPETEER_* settings (such as
+// PUPPETEER_EXECUTABLE_PATH for a system Chromium) are passed through. Output is the text format
+// unless `env` asks for LOG_FORMAT=json, so the assertions can match the human-readable lines.
+export function runScript(script, args, { cwd = REPO_ROOT, env = {}, timeoutMs = 60000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [join(REPO_ROOT, script), ...args], {
+            cwd,
+            env: { PATH: process.env.PATH, HOME: process.env.HOME, LOG_FORMAT: 'text', ...puppeteerEnv(), ...env }
+        });
+        let stdout = '', stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`${script} did not finish within ${timeoutMs}ms\n${stdout}\n${stderr}`));
+        }, timeoutMs);
+
+        child.on('error', reject);
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({ code, stdout, stderr, output: stdout + stderr });
+        });
+    });
+}
+
+// Temp directory holding the throwaway database (and log files) for one test
+export async function createWorkspace() {
+    const dir = await mkdtemp(join(tmpdir(), 'inventory-test-'));
+    return {
+        dir,
+        database: join(dir, 'inventory.sqlite'),
+        path: (name) => join(dir, name),
+        cleanup: () => rm(dir, { recursive: true, force: true })
+    };
+}
+
+export function readTable(database, table) {
+    const db = new Database(database, { readonly: true });
+    try {
+        return db.prepare(`SELECT * FROM "${table}"`).all();
+    } finally {
+        db.close();
+    }
+}
+
+export function listTables(database) {
+    const db = new Database(database, { readonly: true });
+    try {
+        return db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`).all().map(r => r.name);
+    } finally {
+        db.close();
+    }
+}
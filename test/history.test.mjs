@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotQuery, incomparableLiveView, diffSnapshots, DEFAULT_HISTORY_COLUMNS } from '../lib/history.mjs';
+import { productListLayout } from '../lib/products.mjs';
+import { writeFile } from 'node:fs/promises';
+import { runScript, createWorkspace } from './helpers.mjs';
+
+const squash = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+test('history: a single-view layout snapshots every row per SKU', () => {
+    assert.equal(productListLayout().history, undefined);
+    assert.equal(
+        squash(snapshotQuery('API_Vis_Product_List', DEFAULT_HISTORY_COLUMNS)),
+        'SELECT `Sku` AS sku, MIN(`Price`) AS price, MAX(`Only_x_left_in_stock`) AS qty, MIN(`Status`) AS status ' +
+        'FROM `API_Vis_Product_List` WHERE `Sku` IS NOT NULL GROUP BY `Sku`'
+    );
+});
+
+test('history: with several store views only the history store view is compared', () => {
+    const { history } = productListLayout({ storeView: true, historyStoreView: 'uk' });
+    assert.deepEqual(history.storeView, { column: 'Store_view', value: 'uk' });
+    assert.match(squash(snapshotQuery('API_Vis_Product_List', history)), /WHERE `Sku` IS NOT NULL AND `Store_view` <=> 'uk' GROUP BY `Sku`/);
+
+    // Without --store the rows carry no store code
+    const single = productListLayout({ storeView: true }).history;
+    assert.match(squash(snapshotQuery('API_Vis_Product_List', single)), /AND `Store_view` <=> NULL GROUP BY/);
+
+    assert.throws(() => snapshotQuery('t', { ...history, storeView: { column: 'Store_view', value: "uk' OR 1=1" } }), /Invalid store view code/);
+});
+
+test('history: a live table from before the store view column, or of another store view, is not compared', () => {
+    const { history } = productListLayout({ storeView: true, historyStoreView: 'uk' });
+    const upgraded = ['Sku', 'Price', 'Only_x_left_in_stock', 'Status'];
+    assert.match(incomparableLiveView(history, { liveColumns: upgraded, liveViews: [] }), /no `Store_view` column yet/);
+
+    const current = [...upgraded, 'Store_view'];
+    assert.equal(incomparableLiveView(history, { liveColumns: current, liveViews: ['uk', 'de'] }), null);
+    // An empty live table is compared as usual (the guardrails skip it themselves)
+    assert.equal(incomparableLiveView(history, { liveColumns: current, liveViews: [] }), null);
+    // The first --store changed from de to uk
+    assert.match(incomparableLiveView(history, { liveColumns: current, liveViews: ['de', null] }), /store view de, \(none\), not uk/);
+
+    assert.equal(incomparableLiveView(DEFAULT_HISTORY_COLUMNS, { liveColumns: upgraded, liveViews: [] }), null);
+});
+
+const row = (sku, price, qty = '5', status = '1') => ({ sku, price, qty, status });
+
+test('history: diffing two snapshots records new, changed and removed SKUs', () => {
+    const live = [row('A', '10.00'), row('B', '20.00'), row('C', '30.00', '0'), row('GONE', '5.00', '1', '2')];
+    const staged = [row('A', '10.00'), row('B', '18.50'), row('C', '30.00', '4', '2'), row('NEW', '7.00', null)];
+
+    assert.deepEqual(diffSnapshots(live, staged), [
+        { sku: 'B', field: 'price', oldValue: '20.00', newValue: '18.50' },
+        { sku: 'C', field: 'qty', oldValue: '0', newValue: '4' },
+        { sku: 'C', field: 'status', oldValue: '1', newValue: '2' },
+        { sku: 'NEW', field: 'price', oldValue: null, newValue: '7.00' },
+        { sku: 'NEW', field: 'status', oldValue: null, newValue: '1' },
+        { sku: 'GONE', field: 'status', oldValue: '2', newValue: 'REMOVED' }
+    ]);
+
+    // Layouts without a status column only compare price and quantity
+    assert.deepEqual(diffSnapshots([row('A', '1.00', '1', null)], [row('A', '1.00', '2', null)], { fields: ['price', 'qty'] }), [
+        { sku: 'A', field: 'qty', oldValue: '1', newValue: '2' }
+    ]);
+    // First run: everything is new, nothing is removed
+    assert.equal(diffSnapshots([], [row('A', '1.00')]).length, 3);
+    assert.deepEqual(diffSnapshots(live, live), []);
+});
+
+test('sku-history: unknown flags are rejected before connecting', async () => {
+    const run = await runScript('sku-history.mjs', ['--sku', 'A', '--db_hots', 'localhost']);
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Unknown option '--db_hots'/);
+    assert.match(run.output, /Valid flags: --sku, --supplier, --config/);
+});
+
+test('sku-history: --supplier reads the database from its registry profile', async (t) => {
+    const ws = await createWorkspace();
+    t.after(() => ws.cleanup());
+    await writeFile(ws.path('suppliers.json'), JSON.stringify({
+        db_profiles: { reporting: { host: '127.0.0.1', user: 'sync', password: 'secret', database: 'vision' } },
+        suppliers: { marathon: { connector: 'marathon', db_profile: 'reporting', tables: { products: 'Products' } } }
+    }));
+
+    // No MySQL server here: the connection attempt shows which host the profile supplied
+    const run = await runScript('sku-history.mjs', ['--sku', 'A', '--supplier', 'marathon'], { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.doesNotMatch(run.output, /Missing required parameter/);
+    assert.match(run.output, /Script failed:.*127\.0\.0\.1/);
+
+    const unknown = await runScript('sku-history.mjs', ['--sku', 'A', '--supplier', 'nobody'], { cwd: ws.dir });
+    assert.match(unknown.output, /Unknown supplier "nobody"/);
+});
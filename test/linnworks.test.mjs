@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, runScript, createWorkspace, FAST_HTTP } from './helpers.mjs';
+
+const SESSION = 'session-token-abc';
+
+// The auth endpoint routes to `Server`, which is the same stand-in here.
+// The job reports Queued, then Executing, then finished. `runNowStatus` answers the trigger.
+// With `echoSession` the job list is refused with an error that quotes the session token.
+async function linnworksServer({ jobs, runNowStatus = 200, echoSession = false }) {
+    const statuses = [{ IsQueued: true }, { Executing: true }, { IsQueued: false, Executing: false }];
+    let server;
+    server = await startMockServer((req, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const form = new URLSearchParams(body);
+
+        if (url.pathname === '/api/Auth/AuthorizeByApplication') {
+            if (form.get('applicationSecret') !== 'app-secret') return { status: 401, body: { Message: 'Invalid application' } };
+            return { body: { Token: SESSION, Server: server.url } };
+        }
+        if (req.headers.authorization !== SESSION) return { status: 401, body: { Message: 'Session expired' } };
+        if (echoSession) return { status: 403, body: { Message: `Session ${SESSION} has no access to ImportExport` } };
+
+        switch (url.pathname) {
+            case '/api/ImportExport/GetImportList': return { body: { register: jobs.import } };
+            case '/api/ImportExport/GetExportList': return { body: jobs.export };
+            case '/api/ImportExport/EnableImport':
+            case '/api/ImportExport/EnableExport':
+                return { body: '' };
+            case '/api/ImportExport/RunNowImport':
+            case '/api/ImportExport/RunNowExport':
+                return { status: runNowStatus, body: '' };
+            case '/api/ImportExport/GetImport':
+            case '/api/ImportExport/GetExport':
+                return { body: { Register: statuses.shift() } };
+        }
+        return null;
+    });
+    return server;
+}
+
+const baseArgs = (server, type, jobName) => [
+    '--app_id', 'app-id', '--app_secret', 'app-secret', '--token', 'install-token',
+    '--type', type, '--job_name', jobName, '--auth_url', server.url, '--poll_interval', '0', ...FAST_HTTP
+];
+
+const calls = (server) => server.requests.map(r => `${r.method} ${new URL(r.url, 'http://localhost').pathname}`);
+
+test('linnworks: enables a disabled import, triggers it and polls until it finishes', async (t) => {
+    const server = await linnworksServer({
+        jobs: { import: [{ Id: 12, FriendlyName: 'Stock Import', Enabled: false }, { Id: 13, FriendlyName: 'Other', Enabled: true }] }
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('linnworks-job.mjs', baseArgs(server, 'Import', 'Stock Import'), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /import job "Stock Import" finished successfully/);
+
+    assert.deepEqual(calls(server), [
+        'POST /api/Auth/AuthorizeByApplication',
+        'GET /api/ImportExport/GetImportList',
+        'POST /api/ImportExport/EnableImport',
+        'POST /api/ImportExport/RunNowImport',
+        'GET /api/ImportExport/GetImport',
+        'GET /api/ImportExport/GetImport',
+        'GET /api/ImportExport/GetImport'
+    ]);
+
+    const auth = new URLSearchParams(server.requests[0].body);
+    assert.equal(auth.get('applicationId'), 'app-id');
+    assert.equal(auth.get('token'), 'install-token');
+
+    const enable = new URLSearchParams(server.requests[2].body);
+    assert.equal(enable.get('importId'), '12');
+    assert.equal(enable.get('enable'), 'true');
+    assert.equal(new URLSearchParams(server.requests[3].body).get('importId'), '12');
+    assert.equal(new URL(server.requests[4].url, 'http://localhost').searchParams.get('id'), '12');
+});
+
+test('linnworks: an enabled export found by Name in a bare list is triggered without enabling', async (t) => {
+    const server = await linnworksServer({ jobs: { export: [{ Id: 40, Name: 'Price Export', Enabled: true }] } });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('linnworks-job.mjs', baseArgs(server, 'export', 'Price Export'), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.ok(!calls(server).includes('POST /api/ImportExport/EnableExport'));
+    assert.equal(new URLSearchParams(server.requests[2].body).get('exportId'), '40');
+});
+
+test('linnworks: dry run resolves the job without enabling or triggering it', async (t) => {
+    const server = await linnworksServer({ jobs: { import: [{ Id: 12, FriendlyName: 'Stock Import', Enabled: false }] } });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('linnworks-job.mjs', [...baseArgs(server, 'import', 'Stock Import'), '--dry-run'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Would enable the disabled import job 12/);
+    assert.deepEqual(calls(server), ['POST /api/Auth/AuthorizeByApplication', 'GET /api/ImportExport/GetImportList']);
+});
+
+test('linnworks: an unknown job name fails with a non-zero exit', async (t) => {
+    const server = await linnworksServer({ jobs: { import: [{ Id: 12, FriendlyName: 'Stock Import' }] } });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('linnworks-job.mjs', baseArgs(server, 'import', 'Missing Job'), { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Could not find an import job named "Missing Job"/);
+});
+
+test('linnworks: a rejected application secret fails before any job call', async (t) => {
+    const server = await linnworksServer({ jobs: { import: [] } });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const args = baseArgs(server, 'import', 'Stock Import');
+    args[args.indexOf('--app_secret') + 1] = 'stolen-secret';
+    const run = await runScript('linnworks-job.mjs', args, { cwd: ws.dir });
+
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Linnworks API Error: 401/);
+    assert.equal(server.requests.length, 1);
+});
+
+test('linnworks: a trigger answered with a 5xx is not sent again', async (t) => {
+    const server = await linnworksServer({ jobs: { import: [{ Id: 12, FriendlyName: 'Stock Import', Enabled: true }] }, runNowStatus: 502 });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('linnworks-job.mjs', baseArgs(server, 'import', 'Stock Import'), { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Linnworks API Error: 502/);
+    assert.deepEqual(calls(server), [
+        'POST /api/Auth/AuthorizeByApplication',
+        'GET /api/ImportExport/GetImportList',
+        'POST /api/ImportExport/RunNowImport'
+    ]);
+});
+
+test('linnworks: the session token is redacted from the log', async (t) => {
+    const server = await linnworksServer({ jobs: { import: [] }, echoSession: true });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('linnworks-job.mjs', [...baseArgs(server, 'import', 'Stock Import'), '--log_level', 'debug'], { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Linnworks API Error: 403 - .*Session \*\*\* has no access/);
+    assert.ok(!run.output.includes(SESSION));
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { startMockServer, runScript, createWorkspace, FAST_HTTP } from './helpers.mjs';
+
+const AUTH = 'Basic ' + Buffer.from('buyer@example.com:api-token-123').toString('base64');
+
+async function b2bwaveServer() {
+    return startMockServer((req) => {
+        if (req.headers.authorization !== AUTH) return { status: 401, body: { error: 'Unauthorized' } };
+        return { body: { pagination: { total: 1, limit: 50, offset: 0 }, data: [{ id: 1, code: 'B2B-1', name: 'Product 1', price: '4.20', quantity: '3.0' }] } };
+    });
+}
+
+const b2bwaveArgs = (server, ws, ...extra) => [
+    '--url', server.url, '--b_email', 'buyer@example.com', '--b_token', 'api-token-123',
+    '--db_table', 'B2BWave', '--sink', 'sqlite', '--out', ws.database, '--price_currency', 'GBP', '--price_vat', 'ex', ...FAST_HTTP, ...extra
+];
+
+const parseLines = (text) => text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+
+test('logging: JSON lines carry the level, run ID and supplier, with secrets redacted', async (t) => {
+    const server = await b2bwaveServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('b2bwave-inventory.mjs', b2bwaveArgs(server, ws), { cwd: ws.dir, env: { LOG_FORMAT: 'json' } });
+    assert.equal(run.code, 0, run.output);
+
+    const entries = parseLines(run.output);
+    const done = entries.find(e => e.msg.includes('B2BWave sync complete'));
+    assert.equal(done.level, 'info');
+    assert.equal(done.supplier, 'B2BWave');
+    assert.equal(done.script, 'b2bwave');
+    assert.match(done.runId, /^[0-9a-f-]{36}$/);
+    assert.ok(!Number.isNaN(Date.parse(done.time)));
+
+    // Everything logged inside the run belongs to the same run
+    const runIds = new Set(entries.filter(e => e.runId).map(e => e.runId));
+    assert.equal(runIds.size, 1);
+
+    const warning = entries.find(e => e.msg.includes('--b_token was passed on the command line'));
+    assert.equal(warning.level, 'warn');
+    assert.ok(!run.output.includes('api-token-123'));
+});
+
+test('logging: --log_level filters the console while --log_dir keeps the whole run', async (t) => {
+    const server = await b2bwaveServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('b2bwave-inventory.mjs', b2bwaveArgs(server, ws, '--log_level', 'warn', '--log_dir', ws.path('logs')), {
+        cwd: ws.dir, env: { LOG_FORMAT: 'json', B2B_TOKEN: 'api-token-123' }
+    });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(run.stdout.trim(), '');
+
+    const [file] = await readdir(ws.path('logs'));
+    assert.match(file, /^B2BWave-[0-9a-f-]{36}\.jsonl$/);
+    const entries = parseLines(await readFile(join(ws.path('logs'), file), 'utf8'));
+    assert.ok(entries.some(e => e.level === 'info' && e.msg.includes('B2BWave sync complete')));
+    assert.ok(entries.every(e => e.runId === entries[0].runId && e.supplier === 'B2BWave'));
+});
+
+test('logging: an unknown --log_level is rejected', async (t) => {
+    const ws = await createWorkspace();
+    t.after(() => ws.cleanup());
+
+    const run = await runScript('clear-sucuri.mjs', ['--api_key', 'key', '--api_secret', 'secret', '--log_level', 'verbose'], { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /--log_level must be one of debug, info, warn, error/);
+});
+
+test('logging: the pipeline tags each step\'s JSON entries with the step name', async (t) => {
+    const server = await startMockServer(() => ({ body: 'OK: The cache has been cleared.' }));
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const pipeline = ws.path('pipeline.json');
+    await writeFile(pipeline, JSON.stringify({
+        steps: [{ name: 'sucuri', script: 'clear-sucuri.mjs', args: ['--api_key', 'key-1234', '--api_secret', 'secret-1234', '--api_url', server.url] }]
+    }));
+
+    const run = await runScript('pipeline.mjs', ['--pipeline', pipeline], { cwd: ws.dir, env: { LOG_FORMAT: 'json' } });
+    assert.equal(run.code, 0, run.output);
+
+    const entries = parseLines(run.output);
+    const cleared = entries.find(e => e.msg.includes('Sucuri global cache has been cleared'));
+    assert.equal(cleared.step, 'sucuri');
+    assert.equal(cleared.supplier, 'sucuri');
+    assert.ok(entries.some(e => e.msg.includes('Pipeline summary') && e.step === undefined));
+});
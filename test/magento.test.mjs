@@ -0,0 +1,766 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, stat } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { startMockServer, runScript, createWorkspace, readTable, listTables, FAST_HTTP } from './helpers.mjs';
+
+const TOKEN = 'customer-token-123';
+
+const variant = (id, sku, extra = {}) => ({
+    id, attribute_set_id: 4, sku, name: `Variant ${sku}`, __typename: 'SimpleProduct',
+    stock_status: 'IN_STOCK', only_x_left_in_stock: 3, url_key: sku.toLowerCase(), manufacturer: 12,
+    special_price: null, special_from_date: null, special_to_date: null,
+    price_range: { minimum_price: { final_price: { value: 10.5 } } },
+    image: { url: `https://img.example/${sku}.jpg` },
+    media_gallery: [{ url: `https://img.example/${sku}.jpg`, position: 1, disabled: false }],
+    ...extra
+});
+
+const configurable = {
+    ...variant(101, 'CFG-1'),
+    __typename: 'ConfigurableProduct',
+    name: 'Leisure Battery',
+    only_x_left_in_stock: null,
+    special_price: 44.99,
+    special_from_date: '2024-01-01 00:00:00',
+    special_to_date: '2024-02-01 00:00:00',
+    price_range: { minimum_price: { final_price: { value: 49.99 } } },
+    categories: [{ id: 3, name: 'Batteries' }, { id: 7, name: 'Leisure' }],
+    image: { url: 'https://img.example/cfg-main.jpg' },
+    media_gallery: [
+        { url: 'https://img.example/cfg-side.jpg', position: 2, disabled: false },
+        { url: 'https://img.example/cfg-main.jpg', position: 1, disabled: false },
+        { url: 'https://img.example/cfg-hidden.jpg', position: 3, disabled: true }
+    ],
+    configurable_options: [
+        { id: 55, attribute_id_v2: 142, label: 'Capacity', position: 0, values: [{ value_index: 8 }, { value_index: 9 }] }
+    ],
+    variants: [
+        { product: variant(102, 'CFG-1-100AH') },
+        { product: variant(103, 'CFG-1-110AH', { stock_status: 'OUT_OF_STOCK', only_x_left_in_stock: 0 }) }
+    ]
+};
+
+const page = (current, total, items) => ({ data: { products: { total_count: 99, page_info: { current_page: current, total_pages: total }, items } } });
+
+// Page 2 is rate limited once, then answers with a partial GraphQL error for one item
+function magentoServer({ fatalOnPage2 = false } = {}) {
+    let page2Hits = 0;
+    return startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') {
+            const { username, password } = JSON.parse(body);
+            if (username !== 'buyer' || password !== 'secret-pass') return { status: 401, body: { message: 'Invalid login' } };
+            // Magento answers with a bare JSON string
+            return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        }
+        if (req.url === '/graphql') {
+            if (req.headers.authorization !== `Bearer ${TOKEN}`) return { status: 401, body: { message: 'Not authorized' } };
+            const { variables } = JSON.parse(body);
+            assert.equal(variables.categoryId, '2');
+
+            if (variables.currentPage === 1) return { body: page(1, 3, [configurable, variant(104, 'SIMPLE-1')]) };
+            if (variables.currentPage === 2) {
+                if (++page2Hits === 1) return { status: 429, headers: { 'Retry-After': '0' }, body: 'Slow down' };
+                if (fatalOnPage2) return { body: { errors: [{ message: 'Internal server error' }] } };
+                return {
+                    body: {
+                        ...page(2, 3, [variant(105, 'SIMPLE-2'), null]),
+                        errors: [{ message: 'Cannot return null for non-nullable field', path: ['products', 'items', 1] }]
+                    }
+                };
+            }
+            if (variables.currentPage === 3) return { body: page(3, 3, [variant(106, 'SIMPLE-3')]) };
+        }
+    });
+}
+
+const magentoArgs = (server, ws) => [
+    '--url', `${server.url}/`, '--m_user', 'buyer', '--m_pass', 'secret-pass',
+    '--db_table', 'Products', '--db_options_table', 'Options', '--db_images_table', 'Images',
+    '--log_file', ws.path('failed_products.log'),
+    '--sink', 'sqlite', '--out', ws.database, ...FAST_HTTP
+];
+
+test('magento: fetches every page, retries the 429 and maps every column', async (t) => {
+    const server = await magentoServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', magentoArgs(server, ws), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /🔁 Magento page 2: 429 Too Many Requests, retry 1\/2/);
+
+    // Pages 2 and 3 are fetched side by side, so the retry of page 2 may come after page 3
+    const graphqlQueries = server.requests.filter(r => r.url === '/graphql').map(r => JSON.parse(r.body));
+    const graphqlPages = graphqlQueries.filter(q => q.query.includes('query GetProducts')).map(q => q.variables.currentPage);
+    assert.equal(graphqlPages[0], 1);
+    assert.deepEqual(graphqlPages.sort(), [1, 2, 2, 3]);
+    // The empty item of page 2 is looked up by position, but the mock has no SKU for it either
+    assert.equal(graphqlQueries.filter(q => q.query.includes('query GetPageSkus')).length, 1);
+
+    const products = readTable(ws.database, 'Products');
+    assert.deepEqual(products.map(p => p.Sku), ['CFG-1', 'CFG-1-100AH', 'CFG-1-110AH', 'SIMPLE-1', 'SIMPLE-2', 'SIMPLE-3']);
+
+    const parent = products[0];
+    assert.equal(parent.Id, '101');
+    assert.equal(parent.Attribute_set_id, 4);
+    assert.equal(parent.Status, 'IN_STOCK');
+    assert.equal(parent.Price, 49.99);
+    assert.equal(parent.Name, 'Leisure Battery');
+    assert.equal(parent['Type id'], 'configurable');
+    assert.equal(parent.Only_x_left_in_stock, null);
+    assert.equal(parent.Special_price, 44.99);
+    assert.equal(parent.Special_from_date, '2024-01-01 00:00:00');
+    assert.equal(parent.Special_to_date, '2024-02-01 00:00:00');
+    assert.equal(parent.Url_key, 'cfg-1');
+    assert.equal(parent.Manufacturer, '12');
+    assert.equal(parent.Category_IDs, '3,7');
+    assert.equal(parent.Category_Names, 'Batteries > Leisure');
+
+    // Variants inherit the parent's categories
+    const outOfStock = products[2];
+    assert.equal(outOfStock['Type id'], 'simple');
+    assert.equal(outOfStock.Status, 'OUT_OF_STOCK');
+    assert.equal(outOfStock.Category_Names, 'Batteries > Leisure');
+
+    const [option, ...moreOptions] = readTable(ws.database, 'Options');
+    assert.equal(moreOptions.length, 0);
+    assert.equal(option['API_Vis_Product_List ID'], parent['API_Vis_Product_List ID']);
+    assert.equal(option['Configurable product options'], '55 142 Capacity 0 8 9 101');
+    assert.equal(option['Opt_Attribute id'], '142');
+    assert.equal(option.Opt_Id, '55');
+    assert.equal(option.Opt_Label, 'Capacity');
+    assert.equal(option.Position, '0');
+    assert.equal(option['Opt_Product id'], '101');
+
+    const parentImages = readTable(ws.database, 'Images').filter(i => i['Parent ID'] === parent['API_Vis_Product_List ID']);
+    assert.deepEqual(
+        parentImages.map(i => [i.SKU, i.ImageFile, i.Image_pos, i.Image_main]),
+        [
+            ['CFG-1', 'https://img.example/cfg-side.jpg', 2, null],
+            ['CFG-1', 'https://img.example/cfg-main.jpg', 1, 'image']
+        ]
+    );
+
+    // The null item is skipped and its GraphQL error is written to the log file
+    const log = await readFile(ws.path('failed_products.log'), 'utf8');
+    assert.match(log, /Page 2 \| Item Index 1 \| Error: Cannot return null for non-nullable field/);
+    assert.match(run.output, /\[WARNING\] Magento issue on page 2 \(1 errors\)/);
+});
+
+test('magento: a dry run adds to the failure log instead of replacing it', async (t) => {
+    const server = await magentoServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', magentoArgs(server, ws), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    const dryRun = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--dry-run'], { cwd: ws.dir });
+    assert.equal(dryRun.code, 0, dryRun.output);
+
+    const log = await readFile(ws.path('failed_products.log'), 'utf8');
+    assert.match(log, /^--- Starting New Sync: .*\n.*Page 2 \| Item Index 1 .*\n--- Starting Dry Run: .*\n.*Page 2 \| Item Index 1 /);
+});
+
+test('magento: a fatal GraphQL error fails the run and keeps the previous snapshot live', async (t) => {
+    const ws = await createWorkspace();
+    t.after(() => ws.cleanup());
+
+    const good = await magentoServer();
+    const first = await runScript('magento-inventory.mjs', magentoArgs(good, ws), { cwd: ws.dir });
+    await good.close();
+    assert.equal(first.code, 0, first.output);
+
+    const broken = await magentoServer({ fatalOnPage2: true });
+    t.after(() => broken.close());
+    const second = await runScript('magento-inventory.mjs', magentoArgs(broken, ws), { cwd: ws.dir });
+    assert.equal(second.code, 1, second.output);
+    assert.match(second.output, /Fatal GraphQL Error/);
+
+    assert.equal(readTable(ws.database, 'Products').length, 6);
+    assert.ok(!listTables(ws.database).includes('Products_prev'), 'the failed run must not swap anything');
+});
+
+test('magento: rejected credentials fail without fetching any page', async (t) => {
+    const server = await magentoServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const args = magentoArgs(server, ws);
+    args[args.indexOf('--m_pass') + 1] = 'not-the-password';
+    const run = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Auth failed: 401/);
+    assert.equal(server.requests.filter(r => r.url === '/graphql').length, 0);
+    assert.ok(!run.output.includes('not-the-password'), 'the password must be redacted from the output');
+});
+
+test('magento: pages after the first are fetched concurrently and written in page order', async (t) => {
+    let inFlight = 0, maxInFlight = 0;
+    const server = await startMockServer(async (req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { currentPage } = JSON.parse(body).variables;
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Earlier pages answer last
+        await new Promise(resolve => setTimeout(resolve, (7 - currentPage) * 40));
+        inFlight--;
+        return { body: page(currentPage, 6, [variant(200 + currentPage, `PAGE-${currentPage}`)]) };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--concurrency', '2'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(maxInFlight, 2);
+
+    assert.deepEqual(readTable(ws.database, 'Products').map(p => p.Sku), ['PAGE-1', 'PAGE-2', 'PAGE-3', 'PAGE-4', 'PAGE-5', 'PAGE-6']);
+    assert.deepEqual(readTable(ws.database, 'Images').map(i => i.SKU), ['PAGE-1', 'PAGE-2', 'PAGE-3', 'PAGE-4', 'PAGE-5', 'PAGE-6']);
+});
+
+test('magento: an invalid --concurrency fails the run', async (t) => {
+    const server = await magentoServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--concurrency', '0'], { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /--concurrency must be a positive whole number, got "0"/);
+});
+
+// Category 10 has child 11, which has child 12. SHARED-1 sits in 10 and 12; prices differ per store view.
+function catalogServer() {
+    const catalog = {
+        10: [variant(301, 'SHARED-1', { categories: [{ id: 10, name: 'Batteries' }] }), variant(302, 'ONLY-10', { categories: [{ id: 10, name: 'Batteries' }] })],
+        11: [variant(303, 'ONLY-11', { categories: [{ id: 11, name: 'Leisure' }] })],
+        12: [variant(301, 'SHARED-1', { categories: [{ id: 12, name: 'Marine' }] })]
+    };
+    const children = { 10: [11], 11: [12], 12: [] };
+    return startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { query, variables } = JSON.parse(body);
+        if (query.includes('categoryList')) {
+            return { body: { data: { categoryList: variables.ids.map(id => ({ id: Number(id), children: children[id].map(child => ({ id: child })) })) } } };
+        }
+        const store = req.headers.store || 'default';
+        const items = catalog[variables.categoryId].map(item => ({
+            ...item, price_range: { minimum_price: { final_price: { value: store === 'eu' ? 12 : 10 } } }
+        }));
+        return { body: page(1, 1, items) };
+    });
+}
+
+test('magento: several categories and store views, with SKUs merged across categories', async (t) => {
+    const server = await catalogServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--root_cat', '10,12', '--store', 'default,eu'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    const storeHeaders = server.requests.filter(r => r.url === '/graphql').map(r => r.headers.store);
+    assert.deepEqual(storeHeaders, ['default', 'default', 'eu', 'eu']);
+
+    const products = readTable(ws.database, 'Products');
+    assert.deepEqual(
+        products.map(p => [p.Store_view, p.Sku, p.Price, p.Category_IDs, p.Category_Names]),
+        [
+            ['default', 'SHARED-1', 10, '10,12', 'Batteries > Marine'],
+            ['default', 'ONLY-10', 10, '10', 'Batteries'],
+            ['eu', 'SHARED-1', 12, '10,12', 'Batteries > Marine'],
+            ['eu', 'ONLY-10', 12, '10', 'Batteries']
+        ]
+    );
+    // Images follow the deduplicated rows
+    assert.equal(readTable(ws.database, 'Images').length, 4);
+});
+
+test('magento: --category_tree also fetches every descendant category', async (t) => {
+    const server = await catalogServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--root_cat', '10', '--category_tree'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Category tree of 10: 3 categories/);
+
+    const categoryPages = server.requests.map(r => r.body && JSON.parse(r.body).variables?.categoryId).filter(Boolean);
+    assert.deepEqual(categoryPages, ['10', '11', '12']);
+
+    const products = readTable(ws.database, 'Products');
+    assert.deepEqual(products.map(p => [p.Sku, p.Category_IDs, p.Store_view]), [['SHARED-1', '10,12', null], ['ONLY-10', '10', null], ['ONLY-11', '11', null]]);
+});
+
+test('magento: tier prices go to their own table, linked to the product row', async (t) => {
+    const tiered = variant(401, 'TIERED-1', {
+        price_range: { minimum_price: {
+            regular_price: { value: 20, currency: 'GBP' }, final_price: { value: 18, currency: 'GBP' }, discount: { amount_off: 2, percent_off: 10 }
+        } },
+        price_tiers: [
+            { quantity: 50, final_price: { value: 14, currency: 'GBP' }, discount: { amount_off: 6, percent_off: 30 } },
+            { quantity: 10, final_price: { value: 16, currency: 'GBP' }, discount: { amount_off: 4, percent_off: 20 } }
+        ]
+    });
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        assert.match(JSON.parse(body).query, /price_tiers \{ \.\.\.Tier \}/);
+        return { body: page(1, 1, [tiered]) };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--db_tier_prices_table', 'Tiers'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    const [product] = readTable(ws.database, 'Products');
+    assert.equal(product.Price, 18);
+    const tiers = readTable(ws.database, 'Tiers');
+    assert.ok(tiers.every(tier => tier['API_Vis_Product_List ID'] === product['API_Vis_Product_List ID'] && tier.SKU === 'TIERED-1'));
+    assert.deepEqual(
+        tiers.map(tier => [tier.Quantity, tier.Regular_price, tier.Final_price, tier.Discount_amount, tier.Discount_percent, tier.Currency]),
+        [[1, 20, 18, 2, 10, 'GBP'], [10, 20, 16, 4, 20, 'GBP'], [50, 20, 14, 6, 30, 'GBP']]
+    );
+});
+
+test('magento: --attributes are selected on products and variants and stored as key/value rows', async (t) => {
+    const withAttributes = {
+        ...configurable,
+        ean: '5012345678900', mpn: null, weight: 12.5,
+        variants: [{ product: variant(102, 'CFG-1-100AH', { ean: '5012345678917', mpn: 'LB-100', weight: 11 }) }]
+    };
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        return { body: page(1, 1, [withAttributes]) };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--attributes', 'ean, mpn,weight', '--db_attributes_table', 'Attributes'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    const { query } = JSON.parse(server.requests.find(r => r.url === '/graphql').body);
+    assert.match(query, /fragment Attributes on ProductInterface \{\s+ean\s+mpn\s+weight\s+\}/);
+    assert.equal(query.match(/\.\.\.Attributes/g).length, 2);
+
+    assert.deepEqual(
+        readTable(ws.database, 'Attributes').map(a => [a.SKU, a.Attribute, a.Value]),
+        [
+            ['CFG-1', 'ean', '5012345678900'], ['CFG-1', 'weight', '12.5'],
+            ['CFG-1-100AH', 'ean', '5012345678917'], ['CFG-1-100AH', 'mpn', 'LB-100'], ['CFG-1-100AH', 'weight', '11']
+        ]
+    );
+});
+
+test('magento: --attributes rejects anything but field names and needs a table', async (t) => {
+    const server = await magentoServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const injected = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--attributes', 'ean } }', '--db_attributes_table', 'Attributes'], { cwd: ws.dir });
+    assert.equal(injected.code, 1);
+    assert.match(injected.output, /--attributes has an invalid field name "ean } }"/);
+
+    const noTable = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--attributes', 'ean'], { cwd: ws.dir });
+    assert.equal(noTable.code, 1);
+    assert.match(noTable.output, /--attributes needs --db_attributes_table/);
+    assert.equal(server.requests.filter(r => r.url === '/graphql').length, 0);
+});
+
+test('magento: items a page returns empty are re-fetched by SKU, leaving out the fields that broke', async (t) => {
+    const tiersError = (index) => ({ message: 'Internal server error', path: ['products', 'items', index, 'price_tiers', 0, 'quantity'] });
+    const nameError = (index) => ({ message: 'Cannot return null for non-nullable field', path: ['products', 'items', index, 'name'] });
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { query, variables } = JSON.parse(body);
+        if (query.includes('query GetPageSkus')) {
+            return { body: { data: { products: { items: ['GOOD-1', 'TIERS-1', 'FLAKY-1', 'GONE-1'].map(sku => ({ sku })) } } } };
+        }
+        if (query.includes('query GetProductBySku')) {
+            const single = (item, errors) => ({ body: { data: { products: { items: [item] } }, ...(errors ? { errors } : {}) } });
+            if (variables.sku === 'TIERS-1') {
+                return query.includes('price_tiers { ...Tier }\n      image')
+                    ? single(null, [tiersError(0)])
+                    : single(variant(902, 'TIERS-1'));
+            }
+            if (variables.sku === 'FLAKY-1') return single(variant(903, 'FLAKY-1'));
+            return single(null, [nameError(0)]);
+        }
+        return {
+            body: {
+                ...page(1, 1, [variant(901, 'GOOD-1'), null, null, null]),
+                errors: [tiersError(1), { message: 'Internal server error', path: ['products', 'items', 2] }, nameError(3)]
+            }
+        };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--db_failures_table', 'Failures'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /♻️  TIERS-1 re-fetched without price_tiers\./);
+    assert.match(run.output, /GONE-1 on page 1 still fails on its own/);
+
+    const bySku = server.requests.filter(r => r.url === '/graphql').map(r => JSON.parse(r.body)).filter(q => q.query.includes('query GetProductBySku'));
+    assert.deepEqual(bySku.map(q => q.variables.sku), ['TIERS-1', 'TIERS-1', 'FLAKY-1', 'GONE-1']);
+
+    assert.deepEqual(readTable(ws.database, 'Products').map(p => p.Sku), ['GOOD-1', 'TIERS-1', 'FLAKY-1']);
+    assert.deepEqual(
+        readTable(ws.database, 'Failures').map(f => [f.SKU, f.Category_ID, f.Store_view, f.Page, f.Item_index, f.Failed_fields, f.Error]),
+        [['GONE-1', '2', null, 1, 3, 'name', 'Cannot return null for non-nullable field']]
+    );
+});
+
+test('magento: bundle and grouped children are flattened and linked in the options table, with downloadable links', async (t) => {
+    const bundle = {
+        ...variant(601, 'KIT-1', { __typename: 'BundleProduct', name: 'Starter Kit' }),
+        categories: [{ id: 9, name: 'Kits' }],
+        bundle_items: [
+            {
+                option_id: 21, title: 'Battery', type: 'radio', required: true, position: 1,
+                options: [
+                    { id: 71, label: '100Ah', quantity: 1, position: 1, is_default: true, product: variant(602, 'KIT-BAT-100') },
+                    { id: 72, label: 'Withdrawn', quantity: 1, position: 2, is_default: false, product: null }
+                ]
+            },
+            {
+                option_id: 22, title: 'Cable', type: 'checkbox', required: false, position: 2,
+                options: [{ id: 73, label: 'Jump lead', quantity: 2, position: 1, is_default: true, product: variant(603, 'KIT-CBL') }]
+            }
+        ]
+    };
+    const grouped = {
+        ...variant(701, 'SET-1', { __typename: 'GroupedProduct', name: 'Fuse Set' }),
+        grouped_items: [{ qty: 10, position: 1, product: variant(702, 'FUSE-10A') }]
+    };
+    const downloadable = {
+        ...variant(801, 'MANUAL-1', { __typename: 'DownloadableProduct', name: 'Service Manual' }),
+        downloadable_product_links: [
+            { uid: 'ZG93bmxvYWRhYmxlLzE=', title: 'PDF', sort_order: 1, price: 4.5, sample_url: 'https://shop.example/sample/1' },
+            { uid: 'ZG93bmxvYWRhYmxlLzI=', title: 'Printed copy licence', sort_order: 2, price: 12, sample_url: null }
+        ],
+        downloadable_product_samples: [{ title: 'Chapter 1', sort_order: 1, sample_url: 'https://shop.example/sample/chapter-1' }]
+    };
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { query } = JSON.parse(body);
+        assert.match(query, /\.\.\. on BundleProduct \{\s+bundle_items: items \{/);
+        assert.match(query, /\.\.\. on GroupedProduct \{\s+grouped_items: items \{/);
+        assert.match(query, /\.\.\. on DownloadableProduct \{\s+downloadable_product_links \{\s+uid\s+title\s+sort_order\s+price\s+sample_url/);
+        assert.match(query, /\.\.\. on DownloadableProduct \{\s+downloadable_product_samples \{\s+title\s+sort_order\s+sample_url/);
+        return { body: page(1, 1, [bundle, grouped, downloadable]) };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', magentoArgs(server, ws), { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    const products = readTable(ws.database, 'Products');
+    assert.deepEqual(
+        products.map(p => [p.Sku, p['Type id']]),
+        [['KIT-1', 'bundle'], ['KIT-BAT-100', 'simple'], ['KIT-CBL', 'simple'], ['SET-1', 'grouped'], ['FUSE-10A', 'simple'], ['MANUAL-1', 'downloadable']]
+    );
+    // Children inherit the parent's categories, like variants
+    assert.equal(products[1].Category_Names, 'Kits');
+
+    const parentIds = Object.fromEntries(products.map(p => [p['API_Vis_Product_List ID'], p.Sku]));
+    assert.deepEqual(
+        readTable(ws.database, 'Options').map(o => [parentIds[o['API_Vis_Product_List ID']], o.Option_type, o['Opt_Attribute id'], o.Opt_Id, o.Opt_Label, o.Child_sku, o.Child_qty]),
+        [
+            ['KIT-1', 'bundle', '21', '71', 'Battery: 100Ah', 'KIT-BAT-100', 1],
+            ['KIT-1', 'bundle', '22', '73', 'Cable: Jump lead', 'KIT-CBL', 2],
+            ['SET-1', 'grouped', null, '702', 'Variant FUSE-10A', 'FUSE-10A', 10],
+            ['MANUAL-1', 'downloadable_link', null, 'ZG93bmxvYWRhYmxlLzE=', 'PDF', null, null],
+            ['MANUAL-1', 'downloadable_link', null, 'ZG93bmxvYWRhYmxlLzI=', 'Printed copy licence', null, null],
+            ['MANUAL-1', 'downloadable_sample', null, null, 'Chapter 1', null, null]
+        ]
+    );
+    // Links have no product of their own: only their price and sample are stored
+    assert.deepEqual(
+        readTable(ws.database, 'Options').filter(o => o.Option_type.startsWith('downloadable')).map(o => [o.Opt_Price, o.Sample_url]),
+        [[4.5, 'https://shop.example/sample/1'], [12, null], [null, 'https://shop.example/sample/chapter-1']]
+    );
+});
+
+test('magento-attributes: lists the scalar product fields from the schema', async (t) => {
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        assert.match(JSON.parse(body).query, /__type\(name: "ProductInterface"\)/);
+        return { body: { data: { __type: { fields: [
+            { name: 'sku', description: 'Product SKU', type: { kind: 'SCALAR', name: 'String', ofType: null } },
+            { name: 'ean', description: null, type: { kind: 'SCALAR', name: 'String', ofType: null } },
+            { name: 'stock_status', description: null, type: { kind: 'ENUM', name: 'ProductStockStatus', ofType: null } },
+            { name: 'id', description: null, type: { kind: 'NON_NULL', name: null, ofType: { kind: 'SCALAR', name: 'Int' } } },
+            { name: 'categories', description: null, type: { kind: 'LIST', name: null, ofType: { kind: 'INTERFACE', name: 'CategoryInterface' } } }
+        ] } } } };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-attributes.mjs', ['--url', server.url, '--m_user', 'buyer', '--m_pass', 'secret-pass', '--store', 'eu'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /4 product attributes available in store eu/);
+    assert.match(run.output, /ean \(String\)\n\s+id \(Int\)\n\s+sku \(String\) - Product SKU\n\s+stock_status \(ProductStockStatus\)/);
+    assert.ok(!run.output.includes('categories'));
+    assert.equal(server.requests.at(-1).headers.store, 'eu');
+});
+
+// Four single-item pages; page 3 fails until `healthy` is set
+async function resumableServer() {
+    const state = { healthy: false };
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { currentPage } = JSON.parse(body).variables;
+        if (currentPage === 3 && !state.healthy) return { body: { errors: [{ message: 'Internal server error' }] } };
+        return { body: page(currentPage, 4, [variant(500 + currentPage, `RESUME-${currentPage}`)]) };
+    });
+    return Object.assign(server, { state });
+}
+
+test('magento: --resume continues an interrupted run after its last written page', async (t) => {
+    const server = await resumableServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    const args = [...magentoArgs(server, ws), '--concurrency', '1'];
+    const checkpointPath = ws.path('Products.checkpoint.json');
+
+    const failed = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(failed.code, 1, failed.output);
+    const checkpoint = JSON.parse(await readFile(checkpointPath, 'utf8'));
+    assert.match(checkpoint.runId, /^[0-9a-f-]{36}$/);
+    assert.deepEqual([checkpoint.completedStores, checkpoint.lastPage, checkpoint.totalPages], [0, 2, 4]);
+
+    server.state.healthy = true;
+    server.requests.length = 0;
+    const resumed = await runScript('magento-inventory.mjs', [...args, '--resume'], { cwd: ws.dir });
+    assert.equal(resumed.code, 0, resumed.output);
+    assert.match(resumed.output, new RegExp(`Resuming run ${checkpoint.runId}: 0 store views done, page 2 of 4`));
+    assert.match(resumed.output, /Reopening staging table for `Products`/);
+
+    const pages = server.requests.filter(r => r.url === '/graphql').map(r => JSON.parse(r.body).variables.currentPage);
+    assert.deepEqual(pages, [3, 4]);
+    assert.deepEqual(readTable(ws.database, 'Products').map(p => p.Sku), ['RESUME-1', 'RESUME-2', 'RESUME-3', 'RESUME-4']);
+    assert.equal(readTable(ws.database, 'Images').length, 4);
+    await assert.rejects(readFile(checkpointPath), { code: 'ENOENT' });
+});
+
+test('magento: --resume after a crash mid-write removes the half-written page first', async (t) => {
+    // Page 2's product row is staged, then its image (a URL SQLite cannot store) fails the write
+    const state = { broken: true };
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { currentPage } = JSON.parse(body).variables;
+        const broken = currentPage === 2 && state.broken ? { media_gallery: [{ url: { broken: true }, position: 1, disabled: false }] } : {};
+        return { body: page(currentPage, 3, [variant(700 + currentPage, `PARTIAL-${currentPage}`, broken)]) };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    const args = [...magentoArgs(server, ws), '--concurrency', '1'];
+
+    const failed = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(failed.code, 1, failed.output);
+    const checkpoint = JSON.parse(await readFile(ws.path('Products.checkpoint.json'), 'utf8'));
+    assert.deepEqual([checkpoint.lastPage, checkpoint.pending.records.length, checkpoint.rowCounts.products], [1, 1, 1]);
+
+    state.broken = false;
+    const resumed = await runScript('magento-inventory.mjs', [...args, '--resume'], { cwd: ws.dir });
+    assert.equal(resumed.code, 0, resumed.output);
+    assert.match(resumed.output, /Removing the 1 products of the batch that was being written from staging/);
+    assert.deepEqual(readTable(ws.database, 'Products').map(p => p.Sku), ['PARTIAL-1', 'PARTIAL-2', 'PARTIAL-3']);
+    assert.equal(readTable(ws.database, 'Images').length, 3);
+});
+
+test('magento: a checkpoint is only resumed by the same sync', async (t) => {
+    const server = await resumableServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    const args = [...magentoArgs(server, ws), '--concurrency', '1'];
+
+    assert.equal((await runScript('magento-inventory.mjs', args, { cwd: ws.dir })).code, 1);
+
+    const otherCategory = await runScript('magento-inventory.mjs', [...args, '--root_cat', '5', '--resume'], { cwd: ws.dir });
+    assert.equal(otherCategory.code, 1);
+    assert.match(otherCategory.output, /belongs to a sync with different --url\/--root_cat\/--store\/--category_tree/);
+
+    // Without --resume the run starts over and says so
+    server.state.healthy = true;
+    server.requests.length = 0;
+    const fresh = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(fresh.code, 0, fresh.output);
+    assert.match(fresh.output, /was interrupted after page 2 .* starting over\. Pass --resume to continue it instead/);
+    assert.equal(server.requests.filter(r => r.url === '/graphql').length, 4);
+    assert.equal(readTable(ws.database, 'Products').length, 4);
+});
+
+// Category 10 holds 600 products, more than one write batch, and category 12 one more.
+// While `broken` is set, product 550 has a name SQLite cannot store, so the second batch fails.
+async function batchedCategoriesServer() {
+    const state = { broken: true };
+    const server = await startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        const { categoryId } = JSON.parse(body).variables;
+        const items = categoryId === '10'
+            ? Array.from({ length: 600 }, (_, n) => variant(1000 + n, `BATCH-${n}`, n === 550 && state.broken ? { name: { broken: true } } : {}))
+            : [variant(2000, 'OTHER-1')];
+        return { body: page(1, 1, items) };
+    });
+    return Object.assign(server, { state });
+}
+
+test('magento: --resume after a crash mid-flush skips the batches already written', async (t) => {
+    const server = await batchedCategoriesServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    const args = [...magentoArgs(server, ws), '--root_cat', '10,12'];
+
+    const failed = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(failed.code, 1, failed.output);
+    const checkpoint = JSON.parse(await readFile(ws.path('Products.checkpoint.json'), 'utf8'));
+    assert.deepEqual([checkpoint.completedStores, checkpoint.flushedBatches], [0, 1]);
+    assert.equal(checkpoint.rowCounts.products, 500);
+
+    server.state.broken = false;
+    const resumed = await runScript('magento-inventory.mjs', [...args, '--resume'], { cwd: ws.dir });
+    assert.equal(resumed.code, 0, resumed.output);
+    assert.match(resumed.output, /0 store views done, 1 batches of the next/);
+    assert.match(resumed.output, /Saved 601 products rows to Products/);
+
+    const skus = readTable(ws.database, 'Products').map(p => p.Sku);
+    assert.equal(skus.length, 601);
+    assert.equal(new Set(skus).size, 601);
+    assert.ok(skus.includes('BATCH-550') && skus.includes('OTHER-1'));
+});
+
+// Issues token-1, token-2, ...; `revoked` tokens are rejected the way Magento rejects them
+async function tokenServer({ revoked = () => false, viaHttp401 = false } = {}) {
+    let issued = 0;
+    return startMockServer((req, body) => {
+        if (req.url === '/rest/V1/integration/customer/token') {
+            return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(`token-${++issued}`) };
+        }
+        const token = req.headers.authorization.replace('Bearer ', '');
+        const { currentPage } = JSON.parse(body).variables;
+        if (revoked(token, currentPage)) {
+            if (viaHttp401) return { status: 401, body: { message: 'The consumer isn\'t authorized to access %resources.' } };
+            return { body: { errors: [{ message: 'The current customer isn\'t authorized.', extensions: { category: 'graphql-authorization' } }], data: { products: null } } };
+        }
+        return { body: page(currentPage, 4, [variant(600 + currentPage, `TOKEN-${currentPage}`)]) };
+    });
+}
+
+const authRequests = (server) => server.requests.filter(r => r.url === '/rest/V1/integration/customer/token').length;
+
+test('magento: an expired token is renewed once and the rejected pages are retried', async (t) => {
+    // token-1 expires after page 1, while pages 2 and 3 are in flight together
+    const server = await tokenServer({ revoked: (token, currentPage) => token === 'token-1' && currentPage > 1 });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('magento-inventory.mjs', [...magentoArgs(server, ws), '--concurrency', '2'], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /🔑 Magento page 2: token rejected, re-authenticating/);
+    assert.equal(authRequests(server), 2);
+    assert.deepEqual(readTable(ws.database, 'Products').map(p => p.Sku), ['TOKEN-1', 'TOKEN-2', 'TOKEN-3', 'TOKEN-4']);
+
+    // Rejected pages are not failed products
+    assert.doesNotMatch(await readFile(ws.path('failed_products.log'), 'utf8'), /isn't authorized/);
+});
+
+test('magento: the token is cached across runs and replaced when the store rejects it', async (t) => {
+    let revokeFirst = false;
+    const server = await tokenServer({ revoked: (token) => revokeFirst && token === 'token-1', viaHttp401: true });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const first = await runScript('magento-inventory.mjs', magentoArgs(server, ws), { cwd: ws.dir });
+    assert.equal(first.code, 0, first.output);
+    assert.equal(authRequests(server), 1);
+    assert.equal((await stat(ws.path('.magento-tokens.json'))).mode & 0o777, 0o600);
+
+    const cached = await runScript('magento-inventory.mjs', magentoArgs(server, ws), { cwd: ws.dir });
+    assert.equal(cached.code, 0, cached.output);
+    assert.match(cached.output, /Using the cached token for http:\/\/127\.0\.0\.1:\d+ \(valid until /);
+    assert.equal(authRequests(server), 1);
+    assert.ok(!cached.output.includes('token-1'), 'the cached token must be redacted');
+
+    // Revoked before its expiry: HTTP 401, one new login, and the run carries on
+    revokeFirst = true;
+    const renewed = await runScript('magento-inventory.mjs', magentoArgs(server, ws), { cwd: ws.dir });
+    assert.equal(renewed.code, 0, renewed.output);
+    assert.match(renewed.output, /🔑 Magento page 1: token rejected, re-authenticating/);
+    assert.equal(authRequests(server), 2);
+    assert.equal(readTable(ws.database, 'Products').length, 4);
+
+    const cache = JSON.parse(await readFile(ws.path('.magento-tokens.json'), 'utf8'));
+    assert.deepEqual(Object.values(cache).map(entry => entry.token), ['token-2']);
+});
+
+// Just enough of each format for the header parser
+const pngBytes = (width, height) => {
+    const buffer = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+    buffer.writeUInt32BE(13, 8);
+    buffer.write('IHDR', 12, 'ascii');
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+};
+const jpegBytes = (width, height) => Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0,
+    0xff, 0xc0, 0x00, 0x11, 8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1,
+    0xff, 0xd9
+]);
+
+test('magento: --mirror_dir downloads each image once per content and skips unchanged ones later', async (t) => {
+    const files = {
+        '/media/main.png': { body: pngBytes(800, 600), etag: '"main-v1"' },
+        '/media/copy-of-main.png': { body: pngBytes(800, 600), etag: '"copy-v1"' },
+        '/media/side.jpg': { body: jpegBytes(1024, 768), etag: '"side-v1"' }
+    };
+    let server;
+    server = await startMockServer((req) => {
+        if (req.url === '/rest/V1/integration/customer/token') return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(TOKEN) };
+        if (req.url === '/media/gone.jpg') return { status: 404, body: 'Not found' };
+        const file = files[req.url];
+        if (file) {
+            if (req.headers['if-none-match'] === file.etag) return { status: 304, headers: { ETag: file.etag }, body: '' };
+            return { headers: { 'Content-Type': 'image/octet-stream', ETag: file.etag }, body: file.body };
+        }
+        const media = (path, position) => ({ url: `${server.url}/media/${path}`, position, disabled: false });
+        return { body: page(1, 1, [
+            variant(701, 'MIRROR-1', { image: { url: `${server.url}/media/main.png` }, media_gallery: [media('main.png', 1), media('side.jpg', 2)] }),
+            variant(702, 'MIRROR-2', { image: { url: `${server.url}/media/copy-of-main.png` }, media_gallery: [media('copy-of-main.png', 1), media('gone.jpg', 2)] })
+        ]) };
+    });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    const args = [...magentoArgs(server, ws), '--mirror_dir', ws.path('images')];
+
+    const first = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(first.code, 0, first.output);
+    assert.match(first.output, /⚠️  Image not mirrored: http:\/\/127\.0\.0\.1:\d+\/media\/gone\.jpg \(404 Not Found\)/);
+    assert.match(first.output, /Image mirror: 3 downloaded, 0 unchanged, 1 failed/);
+
+    const images = readTable(ws.database, 'Images');
+    const byUrl = Object.fromEntries(images.map(i => [i.ImageFile.replace(server.url, ''), i]));
+    const main = byUrl['/media/main.png'];
+    assert.equal(main.Content_hash, createHash('sha256').update(files['/media/main.png'].body).digest('hex'));
+    assert.equal(main.Local_path, ws.path(`images/${main.Content_hash.slice(0, 2)}/${main.Content_hash}.png`));
+    assert.deepEqual([main.Width, main.Height, main.Bytes], [800, 600, 33]);
+    assert.deepEqual([byUrl['/media/side.jpg'].Width, byUrl['/media/side.jpg'].Height], [1024, 768]);
+    assert.ok(byUrl['/media/side.jpg'].Local_path.endsWith('.jpg'));
+    // Same bytes behind two URLs: one file
+    assert.equal(byUrl['/media/copy-of-main.png'].Local_path, main.Local_path);
+    assert.equal(byUrl['/media/gone.jpg'].Local_path, null);
+    assert.deepEqual(await readFile(main.Local_path), files['/media/main.png'].body);
+
+    server.requests.length = 0;
+    const second = await runScript('magento-inventory.mjs', args, { cwd: ws.dir });
+    assert.equal(second.code, 0, second.output);
+    assert.match(second.output, /Image mirror: 0 downloaded, 3 unchanged, 1 failed/);
+    const conditional = server.requests.filter(r => r.url === '/media/main.png').map(r => r.headers['if-none-match']);
+    assert.deepEqual(conditional, ['"main-v1"']);
+    assert.equal(readTable(ws.database, 'Images').find(i => i.ImageFile.endsWith('/media/side.jpg')).Width, 1024);
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import { startMockServer, runScript, createWorkspace, readTable, FAST_HTTP } from './helpers.mjs';
+
+const item = (sku, fields = {}) => ({
+    sku, name: `Battery ${sku}`, price_ex_vat_gbp: '12.50', rrp_ex_vat_gbp: '19.99',
+    stock_level: '7', in_stock: 1, type: 'simple', ...fields
+});
+
+// Products come back as [metadata, { index: product }]; children are nested under their parent
+const PAGES = {
+    1: [
+        { max_page: 3, total_products: 5 },
+        {
+            0: item('PARENT-1', {
+                type: 'configurable', id: 501, attribute_set_id: 9, categories: [{ id: 12, name: 'Leisure' }],
+                configurable_options: [{ id: 31, attribute_id: 142, code: 'capacity', label: 'Capacity', position: 0 }],
+                children: [item('CHILD-A', { id: 502, capacity: 8 }), item('CHILD-B', { id: 503, capacity: 9, stock_level: '0', in_stock: 0 })]
+            }),
+            1: item('SIMPLE-1', { price_ex_vat_gbp: null, rrp_ex_vat_gbp: null, stock_level: null, category_ids: '4, 7' })
+        }
+    ],
+    // A child listed under two parents is only stored once, and a listed product is never
+    // replaced by a child entry with the same SKU
+    2: [
+        { max_page: 3, total_products: 5 },
+        {
+            0: item('PARENT-2', {
+                type: 'configurable', id: 601, configurable_options: [{ id: 32, attribute_id: 143, code: 'voltage', label: 'Voltage', position: 0 }],
+                children: [item('CHILD-A', { price_ex_vat_gbp: '99.00', voltage: 12 }), item('PARENT-2', { name: 'duplicate', voltage: 24 })]
+            }),
+            1: item('PARENT-3', {
+                type: 'configurable', configurable_options: [{ id: 33, attribute_id: 143, code: 'voltage', label: 'Voltage', position: 0 }],
+                children: [item('CHILD-A', { voltage: 6 })]
+            })
+        }
+    ],
+    // An empty last page has no product dictionary at all
+    3: [{ max_page: 3, total_products: 5 }, null]
+};
+
+const oauthParams = (header) => Object.fromEntries(
+    [...header.replace(/^OAuth /, '').matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, decodeURIComponent(value)])
+);
+
+async function marathonServer() {
+    let page2Hits = 0;
+    return startMockServer((req) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/rest/V1/customerapi/products') return null;
+
+        const oauth = oauthParams(req.headers.authorization || '');
+        if (oauth.oauth_consumer_key !== 'consumer-key' || oauth.oauth_token !== 'access-token') {
+            return { status: 401, body: { message: 'The consumer isn\'t authorized to access %resources.' } };
+        }
+        assert.equal(url.searchParams.get('searchCriteria[pageSize]'), '100');
+        assert.equal(url.searchParams.get('searchCriteria[mapConfigurables]'), '1');
+
+        const page = Number(url.searchParams.get('searchCriteria[currentPage]'));
+        if (page === 2 && ++page2Hits === 1) return { status: 503, body: 'Service Unavailable' };
+        return { body: PAGES[page] };
+    });
+}
+
+test('marathon: signs every request, retries with a fresh nonce and maps parents and children', async (t) => {
+    const server = await marathonServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+    // Picked up from the working directory; the rate not yet in effect is ignored
+    await writeFile(ws.path('rates.json'), JSON.stringify({
+        vat: [{ rate: 17.5, effective_from: '2010-01-01' }, { rate: 20, effective_from: '2011-01-04' }, { rate: 25, effective_from: '2999-01-01' }]
+    }));
+
+    const run = await runScript('marathon-inventory.mjs', [
+        '--url', server.url, '--consumer_key', 'consumer-key', '--consumer_secret', 'consumer-secret',
+        '--access_token', 'access-token', '--token_secret', 'token-secret',
+        '--db_table', 'Marathon', '--db_options_table', 'MarathonOptions', '--sink', 'sqlite', '--out', ws.database, ...FAST_HTTP
+    ], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    // Four requests: pages 1, 2 (503), 2 again and 3
+    assert.equal(server.requests.length, 4);
+    const headers = server.requests.map(r => oauthParams(r.headers.authorization));
+    for (const oauth of headers) {
+        assert.equal(oauth.oauth_signature_method, 'HMAC-SHA256');
+        assert.equal(oauth.oauth_version, '1.0');
+        assert.ok(oauth.oauth_signature);
+    }
+    assert.notEqual(headers[1].oauth_nonce, headers[2].oauth_nonce, 'a retried request must be signed again');
+
+    const rows = readTable(ws.database, 'Marathon');
+    assert.deepEqual(rows.map(r => r.Sku), ['PARENT-1', 'CHILD-A', 'CHILD-B', 'SIMPLE-1', 'PARENT-2', 'CHILD-A', 'PARENT-3']);
+
+    const parent = rows[0];
+    assert.equal(parent.Price, 12.5);
+    assert.equal(parent.Rrp, 19.99);
+    assert.equal(parent.Only_x_left_in_stock, 7);
+    assert.equal(parent.Status, 'IN_STOCK');
+    assert.equal(parent['Type id'], 'configurable');
+    assert.equal(parent.Name, 'Battery PARENT-1');
+    assert.equal(parent.Id, '501');
+    assert.equal(parent.Attribute_set_id, 9);
+    assert.equal(parent.Category_IDs, '12');
+    assert.equal(parent.Parent_sku, null);
+
+    // Marathon prices are GBP ex VAT
+    assert.equal(parent.Currency, 'GBP');
+    assert.equal(parent.Vat_basis, 'ex');
+    assert.equal(parent.Price_GBP_ex_VAT, 12.5);
+    assert.equal(parent.Price_GBP_inc_VAT, 15);
+
+    // Children link back to their parent and inherit its categories
+    assert.deepEqual(rows.slice(1, 3).map(r => [r.Id, r.Parent_sku, r.Category_Names]), [['502', 'PARENT-1', 'Leisure'], ['503', 'PARENT-1', 'Leisure']]);
+    assert.equal(rows[3].Category_IDs, '4,7');
+
+    assert.equal(rows[2].Status, 'OUT_OF_STOCK');
+    assert.equal(rows[2].Only_x_left_in_stock, 0);
+
+    // Missing prices and stock fall back to 0
+    assert.equal(rows[3].Price, 0);
+    assert.equal(rows[3].Rrp, 0);
+    assert.equal(rows[3].Only_x_left_in_stock, 0);
+
+    // Page 2: the parent keeps its own entry, CHILD-A is de-duplicated within the page only
+    assert.equal(rows[4].Name, 'Battery PARENT-2');
+    assert.equal(rows[5].Price, 99);
+    assert.equal(rows[5].Parent_sku, 'PARENT-2');
+
+    // One options row per child and configurable attribute, on the parent's row
+    const options = readTable(ws.database, 'MarathonOptions');
+    const optionsOf = (row) => options
+        .filter(o => o['API_Vis_Product_List ID'] === row['API_Vis_Product_List ID'])
+        .map(o => [o.Option_type, o['Opt_Attribute id'], o.Opt_Label, o['Opt_Product id'], o.Child_sku, o['Configurable product options']]);
+    assert.deepEqual(optionsOf(parent), [
+        ['configurable', '142', 'Capacity', '501', 'CHILD-A', '31 142 Capacity 0 8 501'],
+        ['configurable', '142', 'Capacity', '501', 'CHILD-B', '31 142 Capacity 0 9 501']
+    ]);
+    // PARENT-2 lists itself as a child, which gets no row; CHILD-A is stored under PARENT-2,
+    // so PARENT-3, which lists it too, gets none
+    assert.deepEqual(optionsOf(rows[4]), [['configurable', '143', 'Voltage', '601', 'CHILD-A', '32 143 Voltage 0 12 601']]);
+    assert.deepEqual(optionsOf(rows[6]), []);
+    assert.equal(options.length, 3);
+});
+
+test('marathon: unknown consumer key fails the run without retrying', async (t) => {
+    const server = await marathonServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('marathon-inventory.mjs', [
+        '--url', server.url, '--consumer_key', 'wrong-key', '--consumer_secret', 'consumer-secret',
+        '--access_token', 'access-token', '--token_secret', 'token-secret',
+        '--db_table', 'Marathon', '--sink', 'sqlite', '--out', ws.database, ...FAST_HTTP
+    ], { cwd: ws.dir });
+
+    assert.equal(run.code, 1);
+    assert.match(run.output, /API fetch failed: 401/);
+    assert.equal(server.requests.length, 1);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { runScript, createWorkspace, REPO_ROOT } from './helpers.mjs';
+import { runPipeline } from '../index.mjs';
+
+// A stand-in step: `step.mjs <name> <exit code> <ms>` logs its start and end to steps.log,
+// waits, and exits with the code. With --ignore_sigterm it has to be killed.
+const STEP_SCRIPT = `
+import { appendFileSync } from 'node:fs';
+const [name, code, ms, flag] = process.argv.slice(2);
+const log = (event) => appendFileSync(new URL('steps.log', import.meta.url), \`\${event} \${name}\\n\`);
+if (flag === '--ignore_sigterm') process.on('SIGTERM', () => log('sigterm'));
+log('start');
+setTimeout(() => {
+    log('end');
+    process.exit(Number(code));
+}, Number(ms));
+`;
+
+async function pipelineWorkspace(steps) {
+    const ws = await createWorkspace();
+    await writeFile(ws.path('step.mjs'), STEP_SCRIPT);
+    // Step scripts are resolved from the repository root
+    const script = relative(REPO_ROOT, ws.path('step.mjs'));
+    const pipeline = {
+        steps: steps.map(({ name, code = 0, ms = 50, depends_on, ...rest }) => ({
+            name, script, args: [name, String(code), String(ms)], ...(depends_on ? { depends_on } : {}), ...rest
+        }))
+    };
+    await writeFile(ws.path('pipeline.json'), JSON.stringify(pipeline));
+    return Object.assign(ws, {
+        pipeline,
+        events: async () => (await readFile(ws.path('steps.log'), 'utf8').catch(() => '')).split('\n').filter(Boolean)
+    });
+}
+
+const summaryLine = (output, name) => output.split('\n').find(line => new RegExp(`^${name}\\s+\\d+s\\s+`).test(line));
+
+test('pipeline: steps wait for their dependencies and independent steps run in parallel', async (t) => {
+    const ws = await pipelineWorkspace([
+        { name: 'import', depends_on: ['sync-a', 'sync-b'] },
+        { name: 'sync-a', ms: 300 },
+        { name: 'sync-b', ms: 300 },
+        { name: 'purge', depends_on: ['import'] }
+    ]);
+    t.after(() => ws.cleanup());
+
+    const run = await runScript('pipeline.mjs', ['--pipeline', ws.path('pipeline.json')], { cwd: ws.dir });
+    assert.equal(run.code, 0, run.output);
+
+    const events = await ws.events();
+    assert.deepEqual(events.slice(0, 2).sort(), ['start sync-a', 'start sync-b']);
+    assert.deepEqual(events.slice(2, 4).sort(), ['end sync-a', 'end sync-b']);
+    assert.deepEqual(events.slice(4), ['start import', 'end import', 'start purge', 'end purge']);
+
+    // The summary keeps the definition order
+    const summary = run.output.slice(run.output.indexOf('Pipeline summary'));
+    assert.deepEqual(summary.split('\n').slice(1, 5).map(line => line.split(/\s+/)[0]), ['import', 'sync-a', 'sync-b', 'purge']);
+    assert.match(summaryLine(run.output, 'purge'), /succeeded$/);
+});
+
+test('pipeline: a failed or anomalous (exit 3) step skips everything downstream of it', async (t) => {
+    const ws = await pipelineWorkspace([
+        { name: 'broken', code: 1 },
+        { name: 'suspicious', code: 3 },
+        { name: 'healthy' },
+        { name: 'import', depends_on: ['broken', 'healthy'] },
+        { name: 'purge', depends_on: ['import'] },
+        { name: 'report', depends_on: ['suspicious'] },
+        { name: 'archive', depends_on: ['healthy'] }
+    ]);
+    t.after(() => ws.cleanup());
+
+    const run = await runScript('pipeline.mjs', ['--pipeline', ws.path('pipeline.json')], { cwd: ws.dir });
+    assert.equal(run.code, 1, run.output);
+
+    assert.match(summaryLine(run.output, 'broken'), /failed \(exit 1\)$/);
+    assert.match(summaryLine(run.output, 'suspicious'), /anomalous$/);
+    assert.match(summaryLine(run.output, 'import'), /skipped \(broken did not succeed\)$/);
+    assert.match(summaryLine(run.output, 'purge'), /skipped \(import did not succeed\)$/);
+    assert.match(summaryLine(run.output, 'report'), /skipped \(suspicious did not succeed\)$/);
+    assert.match(summaryLine(run.output, 'archive'), /succeeded$/);
+    assert.match(run.output, /Skipping report: upstream step suspicious anomalous/);
+
+    const started = (await ws.events()).filter(e => e.startsWith('start ')).map(e => e.slice(6)).sort();
+    assert.deepEqual(started, ['archive', 'broken', 'healthy', 'suspicious']);
+});
+
+test('pipeline: a dependency cycle is rejected before any step runs', async (t) => {
+    const ws = await pipelineWorkspace([
+        { name: 'sync', depends_on: ['purge'] },
+        { name: 'import', depends_on: ['sync'] },
+        { name: 'purge', depends_on: ['import'] },
+        { name: 'other' }
+    ]);
+    t.after(() => ws.cleanup());
+
+    const run = await runScript('pipeline.mjs', ['--pipeline', ws.path('pipeline.json')], { cwd: ws.dir });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Invalid pipeline .*pipeline\.json:\n\s+- dependency cycle: sync -> purge -> import -> sync/);
+    assert.deepEqual(await ws.events(), []);
+});
+
+test('pipeline: a timed-out step that ignores SIGTERM is killed after the grace period', async (t) => {
+    const ws = await pipelineWorkspace([
+        { name: 'stuck', ms: 60000, timeout_minutes: 0.005 },
+        { name: 'import', depends_on: ['stuck'] }
+    ]);
+    t.after(() => ws.cleanup());
+    ws.pipeline.steps[0].args.push('--ignore_sigterm');
+
+    const startedAt = Date.now();
+    const results = await runPipeline(ws.pipeline, { log: () => {}, killGraceMs: 200 });
+    assert.ok(Date.now() - startedAt < 10000);
+
+    assert.deepEqual(results.map(r => [r.name, r.outcome]), [
+        ['stuck', 'failed (terminated by SIGKILL)'],
+        ['import', 'skipped (stuck did not succeed)']
+    ]);
+    assert.deepEqual(await ws.events(), ['start stuck', 'sigterm stuck']);
+});
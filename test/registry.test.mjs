@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSupplier } from '../lib/registry.mjs';
+import { magentoConnector } from '../connectors/magento.mjs';
+
+const registry = (options) => ({
+    db_profiles: { default: { host: 'localhost', user: 'sync', database: 'vision' } },
+    suppliers: {
+        magento: { connector: 'magento', endpoint: 'https://supplier.example.com', tables: { products: 'Products' }, options }
+    }
+});
+
+test('registry: boolean options stay booleans, other options become flag strings', () => {
+    const values = resolveSupplier(registry({ category_tree: false, resume: false, concurrency: 4 }), 'magento', magentoConnector);
+    assert.equal(values.category_tree, false);
+    assert.equal(values.resume, false);
+    assert.equal(values.concurrency, '4');
+
+    assert.equal(resolveSupplier(registry({ category_tree: true }), 'magento', magentoConnector).category_tree, true);
+});
+
+test('registry: a boolean option given as anything but true or false is rejected', () => {
+    assert.throws(
+        () => resolveSupplier(registry({ category_tree: 'false', resume: 0 }), 'magento', magentoConnector),
+        (error) => /options\.category_tree must be true or false, got "false"/.test(error.message) && /options\.resume must be true or false, got 0/.test(error.message)
+    );
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, runScript, createWorkspace, readTable } from './helpers.mjs';
+
+const page = (body) => `<!DOCTYPE html><html><head><title>Store</title></head><body>${body}</body></html>`;
+
+const CATALOG = [
+    [
+        {
+            handle: 'agm-battery', title: 'AGM Battery',
+            variants: [
+                { id: 111, sku: 'AGM-12', barcode: '5012345678900', title: '12V', price: '19.99', inventory_quantity: 1 },
+                { id: 112, sku: '', barcode: null, title: '24V', price: '29.99', inventory_quantity: 1 }
+            ]
+        },
+        { handle: 'gel-battery', title: 'Gel Battery', variants: [{ id: 121, sku: 'GEL-1', barcode: '', title: 'Default Title', price: '45.00', inventory_quantity: 8 }] }
+    ],
+    [
+        { handle: 'charger', title: 'Smart Charger', variants: [{ id: 131, sku: 'CHG-5', barcode: '5098765432100', title: 'Default Title', price: '60.00', inventory_quantity: 2 }] }
+    ]
+];
+
+// The per-product .json carries the live stock; gel-battery's is missing (discovery qty is used)
+// and the charger's is rate limited once. Page 3 of the catalog repeats page 2, as Shopify
+// sometimes does past the last page.
+const SHOP_CURRENCY = '<script>window.Shopify = { currency: { active: "GBP", rate: "1.0" } };</script>';
+
+async function shopifyServer({ homepage = page(`${SHOP_CURRENCY}<a href="/collections/all">Shop</a>`) } = {}) {
+    let chargerLimited = false;
+    return startMockServer((req) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/') return { body: homepage };
+        if (url.pathname === '/products.json') {
+            const pageNumber = Number(url.searchParams.get('page'));
+            return { body: { products: CATALOG[Math.min(pageNumber, CATALOG.length) - 1] } };
+        }
+        switch (url.pathname) {
+            case '/products/agm-battery': return { body: page('<h1>AGM Battery</h1><div class="lead-time">Dispatched in 2-3 days</div>') };
+            case '/products/gel-battery': return { body: page('<h1>Gel Battery</h1>') };
+            case '/products/charger': return { body: page('<h1>Smart Charger</h1><p class="stock-status">In stock</p>') };
+            case '/products/agm-battery.json':
+                return { body: { product: { variants: [{ id: 111, inventory_quantity: 14 }, { id: 112, inventory_quantity: 0 }] } } };
+            case '/products/charger.json':
+                if (!chargerLimited) {
+                    chargerLimited = true;
+                    return { status: 429, body: { errors: 'Too many requests' } };
+                }
+                return { body: { product: { variants: [{ id: 131, inventory_quantity: 5 }] } } };
+        }
+        return null;
+    });
+}
+
+const shopifyArgs = (server, ws, ...extra) => [
+    '--target_site', server.url, '--db_table', 'shopify_stock', '--threads', '1', '--request_delay', '0',
+    '--lead_timeout', '300', '--price_vat', 'inc', '--sink', 'sqlite', '--out', ws.database, ...extra
+];
+
+test('shopify: discovers the catalog, reads lead times and stock, and writes one row per variant', async (t) => {
+    const server = await shopifyServer();
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('shopify-inventory.mjs', shopifyArgs(server, ws), { cwd: ws.dir, timeoutMs: 120000 });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Found 3 unique products/);
+    assert.match(run.output, /Rate limited \(429\)/);
+
+    const pages = server.requests.filter(r => r.url.startsWith('/products.json')).map(r => new URL(r.url, 'http://localhost').searchParams.get('page'));
+    assert.deepEqual(pages, ['1', '2', '3']);
+
+    const rows = readTable(ws.database, 'shopify_stock').sort((a, b) => a.variant_id - b.variant_id);
+    assert.deepEqual(
+        rows.map(r => [r.variant_id, r.sku, r.mpn, r.title, r.variant_title, r.price, r.stock_qty, r.lead_time_message]),
+        [
+            [111, 'AGM-12', '5012345678900', 'AGM Battery', '12V', 19.99, 14, 'Dispatched in 2-3 days'],
+            [112, '112', null, 'AGM Battery', '24V', 29.99, 0, 'Dispatched in 2-3 days'],
+            [121, 'GEL-1', null, 'Gel Battery', null, 45, 8, null],
+            [131, 'CHG-5', '5098765432100', 'Smart Charger', null, 60, 5, 'In stock']
+        ]
+    );
+    for (const row of rows) {
+        assert.deepEqual([row.currency, row.vat_basis], ['GBP', 'inc']);
+        assert.equal(row.supplier_url, server.url);
+        assert.ok(row.product_url.startsWith(`${server.url}/products/`));
+    }
+});
+
+test('shopify: stale session cookies fail the run before discovery', async (t) => {
+    const server = await shopifyServer({ homepage: page('<a href="/account/login">Log in</a>') });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('shopify-inventory.mjs', shopifyArgs(server, ws, '--cookie', '_secure_session_id=expired'), { cwd: ws.dir, timeoutMs: 120000 });
+    assert.equal(run.code, 1);
+    assert.match(run.output, /Shopify login failed/);
+    assert.ok(!run.output.includes('expired'));
+    assert.ok(!server.requests.some(r => r.url.startsWith('/products.json')));
+});
+
+test('shopify: a shop that does not report its currency is taken as GBP, with a warning', async (t) => {
+    const server = await shopifyServer({ homepage: page('<a href="/collections/all">Shop</a>') });
+    const ws = await createWorkspace();
+    t.after(() => Promise.all([server.close(), ws.cleanup()]));
+
+    const run = await runScript('shopify-inventory.mjs', shopifyArgs(server, ws).filter(arg => !['--price_vat', 'inc'].includes(arg)), { cwd: ws.dir, timeoutMs: 120000 });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /does not report its currency \(Shopify\.currency\.active\): assuming GBP/);
+    assert.match(run.output, /Shopify prices do not say whether they include VAT: the VAT basis is recorded as unknown/);
+
+    const rows = readTable(ws.database, 'shopify_stock');
+    assert.ok(rows.length > 0);
+    for (const row of rows) assert.deepEqual([row.currency, row.vat_basis], ['GBP', null]);
+});